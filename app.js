@@ -1,12 +1,23 @@
 // Future AI Tech - Advanced Interactive Web Application
 // Copyright 2025 - Mohammad Gulam Rabbani
 
-'use strict';
+// ES module. Importing it only defines things; nothing touches the page until bootstrap()
+// is called (index.html does that), so classes can be imported on their own, e.g. in tests.
+
+import { PROJECTS } from './projects.js';
+
+// True when there is no DOM: in scene-worker.js, or when imported outside a browser
+const IS_WORKER = typeof document === 'undefined';
 
 // Global configuration and state management
 const CONFIG = {
     particles: {
+        // Counts are for the 'laptop' breakpoint; see BREAKPOINT_DENSITY
         count: 120,
+        loadingCount: 48,
+        sceneElements: 20,
+        // Hero particle drift (px per frame), size (px) and opacity; each particle gets a
+        // random value around these
         speed: 0.5,
         size: 2,
         opacity: 0.7,
@@ -14,22 +25,132 @@ const CONFIG = {
         connectionDistance: 100
     },
     animations: {
+        // ms; the loading screen fades out over `duration`, cards reveal over 60% of it and
+        // counters count for twice it. Cards revealed together start `stagger` ms apart.
         duration: 1000,
         easing: 'cubic-bezier(0.16, 1, 0.3, 1)',
-        stagger: 100
+        stagger: 100,
+        // Multiplies scene time: 0 freezes every scene, 0.25 is slow motion
+        timeScale: 1
+    },
+    loading: {
+        // The loading screen leaves after this many ms even if something is still loading
+        timeout: 8000,
+        // Share of the progress bar for each kind of work; see LoadingManager.track
+        weights: {
+            fonts: 1,
+            images: 2,
+            scenes: 3,
+            data: 1
+        },
+        // JSON files fetched while the loading screen is up, available as LoadingManager.data
+        data: []
+    },
+    random: {
+        // Any string or number makes scene layouts repeat across loads; ?seed= overrides it.
+        // Left null, each load picks its own seed (shown in the performance HUD).
+        seed: null
     },
     performance: {
         targetFPS: 60,
         adaptiveQuality: true,
-        enableStats: false
+        // Open the performance HUD on load (it can also be opened with ?debug or the ` key)
+        enableStats: false,
+        // Adaptive quality steps down after `lowerAfter` slow seconds in a row and back up
+        // after `raiseAfter` fast ones; the gap between the thresholds stops it flapping
+        quality: {
+            min: 0.3,
+            step: 0.1,
+            lowerBelow: 30,
+            raiseAbove: 50,
+            lowerAfter: 2,
+            raiseAfter: 5,
+            // Level pinned while low power mode is on
+            lowPower: 0.3
+        },
+        // Per-frame budget (ms) for each scene priority; see SceneScheduler
+        sceneBudgets: {
+            high: 8,
+            normal: 2,
+            low: 1
+        },
+        // Low-priority scenes skipped for this many frames in a row always get one
+        maxSkippedFrames: 10,
+        // Longest step (seconds) a scene advances in one frame, so a stall doesn't make it jump
+        maxFrameDelta: 0.1,
+        // Scenes further than this outside the viewport are paused (IntersectionObserver rootMargin)
+        visibilityMargin: '200px',
+        // 'auto' draws with WebGL where available (see WebGLRenderer); '2d' always uses Canvas2D
+        renderer: 'auto',
+        // Browsers drop the oldest WebGL context past ~16, so only this many scenes get one
+        maxWebGLContexts: 8,
+        // Render scenes in a worker via OffscreenCanvas where the browser supports it
+        offscreenRendering: false,
+        workerURL: 'scene-worker.js'
     },
+    export: {
+        // Show the per-canvas export menu (Scene3D.exportImage/recordVideo work either way)
+        menu: true,
+        // PNG sizes offered, in device pixels per CSS pixel
+        scales: [1, 2, 4],
+        // WebM clip lengths offered, in seconds
+        durations: [3, 6],
+        fps: 30
+    },
+    interaction: {
+        // Particles within this many px of a pointer (mouse, touch or pen) are pushed away
+        repelRadius: 100,
+        // Shift the hero layers as a phone or tablet is tilted
+        tilt: true,
+        // Largest tilt shift in px, reached by the nearest particles
+        tiltRange: 30
+    },
+    // Viewport widths (px) where the 'tablet', 'laptop' and 'desktop' breakpoints start
     breakpoints: {
         mobile: 768,
         tablet: 1024,
         desktop: 1200
+    },
+    contact: {
+        // 'http', 'mailto', 'mock', or 'auto' (http when an endpoint is set, mock on localhost, otherwise mailto)
+        transport: 'auto',
+        endpoint: '',
+        email: 'contact@futureaitech.com',
+        timeout: 10000,
+        retries: 2,
+        retryDelay: 1000,
+        // When a reachable server still fails after the retries, the form tries once more after
+        // this many ms (or the server's Retry-After), and queued messages are retried this often
+        retryLater: 30000,
+        mock: {
+            latency: 800,
+            outcome: 'success'
+        },
+        // localStorage key for messages waiting for a connection
+        queueKey: 'futureai.contactQueue',
+        // Submissions faster than this (ms after the form appeared) are treated as bots
+        minSubmitTime: 3000,
+        // Per-field rules, keyed by input name - see Validators
+        rules: {
+            name: { required: true, minLength: 2, maxLength: 80 },
+            email: { required: true, email: true, maxLength: 254 },
+            subject: { required: true, minLength: 3, maxLength: 120 },
+            message: { required: true, minLength: 20, maxLength: 5000, notOnlyURL: true, maxLinks: 3 }
+        }
     }
 };
 
+// Untouched copy of the defaults above; loadConfig() changes CONFIG in place and resetConfig() undoes it
+const CONFIG_DEFAULTS = structuredClone(CONFIG);
+
+// Particle and element counts in CONFIG are for 'laptop'; see AppState.scaleCount
+const BREAKPOINT_DENSITY = {
+    mobile: 0.6,
+    tablet: 0.8,
+    laptop: 1,
+    desktop: 1.25
+};
+
 // Application state management
 class AppState {
     constructor() {
@@ -37,12 +158,54 @@ class AppState {
         this.currentSection = 'home';
         this.isScrolling = false;
         this.mousePosition = { x: 0, y: 0 };
-        this.devicePixelRatio = Math.min(window.devicePixelRatio || 1, 2);
-        this.isReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
-        this.isMobile = window.innerWidth < CONFIG.breakpoints.mobile;
+        this.devicePixelRatio = Math.min(globalThis.devicePixelRatio || 1, 2);
+        // Filled in from the page by readEnvironment(); the worker sets them from its messages
+        this.isReducedMotion = false;
+        this.breakpoint = 'laptop';
+        this.isMobile = false;
+        this.theme = 'dark';
         this.scenes = new Map();
         this.animationFrameId = null;
         this.loadingProgress = 0;
+        // What is holding the page still: 'loading', 'menu' or 'project-detail'
+        this.scrollLocks = new Set();
+    }
+
+    // Called by bootstrap(), so importing the module doesn't read the page
+    readEnvironment() {
+        this.isReducedMotion = Utils.matchMedia('(prefers-reduced-motion: reduce)').matches;
+        this.updateBreakpoint(window.innerWidth);
+    }
+
+    updateBreakpoint(width) {
+        const { mobile, tablet, desktop } = CONFIG.breakpoints;
+        if (width < mobile) {
+            this.breakpoint = 'mobile';
+        } else if (width < tablet) {
+            this.breakpoint = 'tablet';
+        } else if (width < desktop) {
+            this.breakpoint = 'laptop';
+        } else {
+            this.breakpoint = 'desktop';
+        }
+        this.isMobile = this.breakpoint === 'mobile';
+    }
+
+    // The page scrolls again only once every lock is released, so closing the mobile menu
+    // or the loading screen can't unlock the page under an open project dialog
+    setScrollLock(name, isLocked) {
+        if (isLocked) {
+            this.scrollLocks.add(name);
+        } else {
+            this.scrollLocks.delete(name);
+        }
+        
+        document.body.style.overflow = this.scrollLocks.size ? 'hidden' : 'auto';
+    }
+
+    // Scales a CONFIG count to the current breakpoint
+    scaleCount(count) {
+        return Math.max(1, Math.round(count * BREAKPOINT_DENSITY[this.breakpoint]));
     }
 
     updateMousePosition(x, y) {
@@ -61,11 +224,24 @@ class AppState {
     getScene(id) {
         return this.scenes.get(id);
     }
+
+    removeScene(id) {
+        this.scenes.delete(id);
+    }
 }
 
 // Initialize application state
 const appState = new AppState();
 
+// Fallback scene style; the live values come from --scene-* custom properties in style.css
+const DEFAULT_SCENE_STYLE = {
+    primary: '50, 184, 198',
+    secondary: '50, 184, 198',
+    accent: '50, 184, 198',
+    glow: 1,
+    lineWidth: 1
+};
+
 // Utility functions
 const Utils = {
     lerp: (start, end, factor) => start + (end - start) * factor,
@@ -73,8 +249,79 @@ const Utils = {
         return (value - inMin) * (outMax - outMin) / (inMax - inMin) + outMin;
     },
     clamp: (value, min, max) => Math.max(min, Math.min(max, value)),
-    random: (min, max) => Math.random() * (max - min) + min,
-    randomInt: (min, max) => Math.floor(Math.random() * (max - min + 1)) + min,
+    
+    // Rotates a point about the x, then y, then z axis (radians)
+    rotate3D: (x, y, z, rotation) => {
+        const cosX = Math.cos(rotation.x), sinX = Math.sin(rotation.x);
+        const cosY = Math.cos(rotation.y), sinY = Math.sin(rotation.y);
+        const cosZ = Math.cos(rotation.z), sinZ = Math.sin(rotation.z);
+        
+        const y1 = y * cosX - z * sinX;
+        const z1 = y * sinX + z * cosX;
+        const x2 = x * cosY + z1 * sinY;
+        const z2 = -x * sinY + z1 * cosY;
+        
+        return {
+            x: x2 * cosZ - y1 * sinZ,
+            y: x2 * sinZ + y1 * cosZ,
+            z: z2
+        };
+    },
+    // mulberry32; returns a function giving floats in [0, 1), like Math.random
+    createRandom: (seed) => {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = Math.imul(state ^ (state >>> 15), state | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    },
+    // FNV-1a, to turn seed strings into 32-bit PRNG seeds
+    hashSeed: (value) => {
+        const text = String(value);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    },
+    // Set by setSeed(); bootstrap() sets the page seed, otherwise it's picked on first use
+    seed: null,
+    rng: null,
+    getSeed: () => {
+        if (Utils.seed === null) {
+            Utils.setSeed(CONFIG.random.seed ?? createSeed());
+        }
+        return Utils.seed;
+    },
+    // The page-wide stream
+    getRandom: () => {
+        Utils.getSeed();
+        return Utils.rng;
+    },
+    // Seed for a named stream (e.g. one scene), derived from the page seed
+    deriveSeed: (key) => Utils.hashSeed(`${Utils.getSeed()}:${key}`),
+    setSeed: (seed) => {
+        Utils.seed = String(seed);
+        Utils.rng = Utils.createRandom(Utils.hashSeed(Utils.seed));
+    },
+    // Copies `source` into `target`, recursing into plain objects; arrays and other values are replaced
+    mergeDeep: (target, source) => {
+        Object.entries(source).forEach(([key, value]) => {
+            const isObject = value && typeof value === 'object' && !Array.isArray(value);
+            if (isObject && target[key] && typeof target[key] === 'object' && !Array.isArray(target[key])) {
+                Utils.mergeDeep(target[key], value);
+            } else {
+                target[key] = value;
+            }
+        });
+        return target;
+    },
+    // `rng` defaults to the page-wide stream; scenes pass their own
+    random: (min, max, rng = Utils.getRandom()) => rng() * (max - min) + min,
+    randomInt: (min, max, rng = Utils.getRandom()) => Math.floor(rng() * (max - min + 1)) + min,
     degToRad: (degrees) => degrees * (Math.PI / 180),
     radToDeg: (radians) => radians * (180 / Math.PI),
     smoothStep: (edge0, edge1, x) => {
@@ -127,9 +374,222 @@ const Utils = {
             top: rect.top + window.pageYOffset,
             left: rect.left + window.pageXOffset
         };
-    }
+    },
+    uniqueId: () => window.crypto?.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`,
+    // Normalises a hex or rgb()/rgba() colour to an "r, g, b" string for use in rgba()
+    parseColor: (value) => {
+        if (!value) return null;
+        
+        const hex = value.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+        if (hex) {
+            const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+            const number = parseInt(digits, 16);
+            return `${(number >> 16) & 255}, ${(number >> 8) & 255}, ${number & 255}`;
+        }
+        
+        const rgb = value.match(/^rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)/i);
+        return rgb ? `${rgb[1]}, ${rgb[2]}, ${rgb[3]}` : null;
+    },
+    // Without matchMedia (jsdom, some embedded views) every query is treated as not matching
+    matchMedia: (query) => window.matchMedia?.(query) ?? { matches: false, media: query },
+    // http(s) and relative URLs only; escapeHTML() alone lets javascript: and data: links through
+    isSafeUrl: (value) => {
+        try {
+            // The base only fills in relative URLs, so just the scheme is being checked
+            return ['http:', 'https:'].includes(new URL(String(value), 'https://localhost/').protocol);
+        } catch (error) {
+            return false;
+        }
+    },
+    escapeHTML: (value) => String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;')
 };
 
+function createSeed() {
+    return Math.floor(Math.random() * 0xFFFFFFFF).toString(36);
+}
+
+// ?seed= wins over CONFIG.random.seed. Read by bootstrap(); worker scenes arrive with
+// their seeds already derived, so the worker never needs one.
+function readPageSeed() {
+    const param = new URLSearchParams(window.location.search).get('seed');
+    return param || (CONFIG.random.seed ?? createSeed());
+}
+
+// Runtime configuration. loadConfig() layers these over the CONFIG defaults, later ones
+// winning: bootstrap({ config }), the JSON in <script type="application/json" id="app-config">,
+// data-* attributes on <body> (data-particles-count="80") and dotted query parameters
+// (?particles.count=80). Anything that doesn't match an option's name and type is
+// skipped with a warning.
+
+// contact.rules is keyed by input name, so it takes fields the defaults don't list
+const OPEN_CONFIG_PATHS = new Set(['contact.rules']);
+
+function warnConfig(source, path, message) {
+    console.warn(`Config (${source}): "${path}" ${message}`);
+}
+
+function describeType(value) {
+    if (value === null) return 'null';
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+// Returns the parts of `overrides` that match the names and types in `defaults`
+function validateConfig(overrides, source, defaults = CONFIG, prefix = '') {
+    const valid = {};
+    
+    Object.entries(overrides).forEach(([key, value]) => {
+        const path = prefix + key;
+        if (!Object.hasOwn(defaults, key)) {
+            warnConfig(source, path, 'is not a config option');
+            return;
+        }
+        
+        const expected = describeType(defaults[key]);
+        const actual = describeType(value);
+        // Options that default to null (random.seed) take a string or number
+        if (expected === 'null' ? !['string', 'number', 'null'].includes(actual) : actual !== expected) {
+            warnConfig(source, path, `should be ${expected === 'null' ? 'a string or number' : `a ${expected}`}, got ${actual}`);
+            return;
+        }
+        
+        if (expected === 'array' && defaults[key].length) {
+            const itemType = describeType(defaults[key][0]);
+            if (value.some(item => describeType(item) !== itemType || Number.isNaN(item))) {
+                warnConfig(source, path, `should be an array of ${itemType}s`);
+                return;
+            }
+        }
+        
+        if (expected === 'number' && Number.isNaN(value)) {
+            warnConfig(source, path, 'should be a number, got NaN');
+            return;
+        }
+        
+        valid[key] = expected === 'object' && !OPEN_CONFIG_PATHS.has(path)
+            ? validateConfig(value, source, defaults[key], `${path}.`)
+            : value;
+    });
+    return valid;
+}
+
+// Finds the option a flattened name refers to, ignoring case and separators, so the
+// data-* attribute "performanceTargetFps" and the query key "performance.targetFPS" both
+// give { path: ['performance', 'targetFPS'], rest: '' }. `rest` is whatever didn't match.
+function resolveConfigPath(name) {
+    const path = [];
+    let rest = name.toLowerCase().replace(/[^a-z0-9]/g, '');
+    let level = CONFIG;
+    
+    while (rest) {
+        const isSection = describeType(level) === 'object';
+        // Longest match first, so a key can't be shadowed by a shorter one it starts with
+        const key = isSection && Object.keys(level)
+            .filter(candidate => rest.startsWith(candidate.toLowerCase()))
+            .sort((a, b) => b.length - a.length)[0];
+        if (!key) break;
+        
+        path.push(key);
+        level = level[key];
+        rest = rest.slice(key.length);
+    }
+    return { path, rest };
+}
+
+// Turns an attribute or query string into the type of the option it sets; a value that
+// can't be converted is returned as-is for validateConfig() to reject
+function parseConfigValue(value, defaultValue) {
+    switch (describeType(defaultValue)) {
+        case 'number':
+            return value.trim() === '' || Number.isNaN(Number(value)) ? value : Number(value);
+        case 'boolean':
+            // A bare attribute or query key means true
+            if (value === '' || value === 'true') return true;
+            return value === 'false' ? false : value;
+        case 'array':
+            return value.split(',').map(item => parseConfigValue(item.trim(), defaultValue[0]));
+        case 'object':
+            try {
+                return JSON.parse(value);
+            } catch {
+                return value;
+            }
+        default:
+            return value;
+    }
+}
+
+// Builds an overrides object from [name, string] pairs. With `sectionsOnly`, names that
+// don't start with a CONFIG section are ignored rather than warned about.
+function readConfigEntries(entries, source, { sectionsOnly = false } = {}) {
+    const overrides = {};
+    
+    entries.forEach(([name, value]) => {
+        const { path, rest } = resolveConfigPath(name);
+        if (sectionsOnly && !path.length) return;
+        if (rest) {
+            warnConfig(source, name, 'is not a config option');
+            return;
+        }
+        
+        const defaultValue = path.reduce((level, key) => level?.[key], CONFIG);
+        let target = overrides;
+        path.slice(0, -1).forEach(key => {
+            target = target[key] ??= {};
+        });
+        target[path[path.length - 1]] = parseConfigValue(value, defaultValue);
+    });
+    return overrides;
+}
+
+function readConfigScript() {
+    const script = document.getElementById('app-config');
+    if (!script) return {};
+    
+    try {
+        const config = JSON.parse(script.textContent);
+        if (describeType(config) === 'object') return config;
+        console.warn('Config (#app-config): expected a JSON object, ignoring it');
+    } catch (error) {
+        console.warn('Config (#app-config): invalid JSON, ignoring it:', error.message);
+    }
+    return {};
+}
+
+// Applies each configuration layer over CONFIG. Called by bootstrap() before anything
+// reads CONFIG; `config` is bootstrap()'s own option.
+function loadConfig(config = {}) {
+    // Other scripts may use <body> data-* too, so only names starting with a section count
+    const attributes = Object.entries(document.body?.dataset ?? {})
+        .map(([name, value]) => [name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`), value]);
+    // Plain keys like ?seed and ?debug have their own meanings
+    const params = [...new URLSearchParams(window.location.search)].filter(([name]) => name.includes('.'));
+    const layers = [
+        ['bootstrap()', () => config],
+        ['#app-config', readConfigScript],
+        ['<body> data-*', source => readConfigEntries(attributes, source, { sectionsOnly: true })],
+        ['query string', source => readConfigEntries(params, source)]
+    ];
+    
+    // Checked against the defaults, so an earlier layer can't change what a later one may set
+    const defaults = structuredClone(CONFIG);
+    layers.forEach(([source, read]) => {
+        Utils.mergeDeep(CONFIG, validateConfig(read(source), source, defaults));
+    });
+    return CONFIG;
+}
+
+// Puts CONFIG back to the defaults, keeping the same object since other modules hold on to it
+function resetConfig() {
+    Object.keys(CONFIG).forEach(key => delete CONFIG[key]);
+    Object.assign(CONFIG, structuredClone(CONFIG_DEFAULTS));
+    return CONFIG;
+}
+
 // Global scroll function for navigation
 function scrollToSection(sectionId) {
     const section = document.getElementById(sectionId);
@@ -138,7 +598,7 @@ function scrollToSection(sectionId) {
         
         window.scrollTo({
             top: offsetTop,
-            behavior: 'smooth'
+            behavior: appState.isReducedMotion ? 'auto' : 'smooth'
         });
         
         appState.setCurrentSection(sectionId);
@@ -149,14 +609,11 @@ function scrollToSection(sectionId) {
         if (navMenu && navMenu.classList.contains('active')) {
             navMenu.classList.remove('active');
             navToggle?.classList.remove('active');
-            document.body.style.overflow = 'auto';
+            appState.setScrollLock('menu', false);
         }
     }
 }
 
-// Make scrollToSection globally available
-window.scrollToSection = scrollToSection;
-
 // Performance monitor
 class PerformanceMonitor {
     constructor() {
@@ -165,12 +622,32 @@ class PerformanceMonitor {
         this.lastTime = performance.now();
         this.fpsArray = [];
         this.qualityLevel = 1;
+        this.slowSamples = 0;
+        this.fastSamples = 0;
+        this.storageKey = 'futureai.lowPower';
+        this.isLowPower = false;
+        this.listeners = new Set();
+    }
+
+    // Restores the saved low power setting; called by bootstrap() rather than on import
+    init() {
+        this.isLowPower = this.readLowPower();
+        if (this.isLowPower) {
+            this.qualityLevel = CONFIG.performance.quality.lowPower;
+        }
     }
 
     update() {
         this.frameCount++;
         const currentTime = performance.now();
         
+        // No frames ran for a while (hidden tab, every scene paused); don't count that as slow
+        if (currentTime - this.lastTime > 2000) {
+            this.frameCount = 0;
+            this.lastTime = currentTime;
+            return;
+        }
+        
         if (currentTime >= this.lastTime + 1000) {
             this.fps = Math.round((this.frameCount * 1000) / (currentTime - this.lastTime));
             this.fpsArray.push(this.fps);
@@ -186,23 +663,78 @@ class PerformanceMonitor {
     }
 
     adjustQuality() {
-        if (!CONFIG.performance.adaptiveQuality) return;
+        if (!CONFIG.performance.adaptiveQuality || this.isLowPower) return;
         
+        const settings = CONFIG.performance.quality;
         const averageFPS = this.fpsArray.reduce((a, b) => a + b, 0) / this.fpsArray.length;
         
-        if (averageFPS < 30 && this.qualityLevel > 0.5) {
-            this.qualityLevel -= 0.1;
-        } else if (averageFPS > 50 && this.qualityLevel < 1) {
-            this.qualityLevel += 0.1;
+        if (averageFPS < settings.lowerBelow) {
+            this.slowSamples++;
+            this.fastSamples = 0;
+        } else if (averageFPS > settings.raiseAbove) {
+            this.fastSamples++;
+            this.slowSamples = 0;
+        } else {
+            this.slowSamples = 0;
+            this.fastSamples = 0;
+        }
+        
+        if (this.slowSamples >= settings.lowerAfter) {
+            this.setQualityLevel(this.qualityLevel - settings.step);
+        } else if (this.fastSamples >= settings.raiseAfter) {
+            this.setQualityLevel(this.qualityLevel + settings.step);
         }
+    }
+
+    setQualityLevel(level) {
+        // Rounded so repeated steps land on exact tenths
+        const next = Math.round(Utils.clamp(level, CONFIG.performance.quality.min, 1) * 100) / 100;
+        
+        // Older samples were taken at the previous level
+        this.fpsArray = [];
+        this.slowSamples = 0;
+        this.fastSamples = 0;
         
-        this.qualityLevel = Utils.clamp(this.qualityLevel, 0.3, 1);
+        if (next === this.qualityLevel) return;
+        
+        this.qualityLevel = next;
+        this.listeners.forEach(listener => listener(next));
     }
 
     getQualityLevel() {
         return this.qualityLevel;
     }
 
+    readLowPower() {
+        try {
+            return localStorage.getItem(this.storageKey) === 'true';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Low power pins quality at CONFIG.performance.quality.lowPower until turned off
+    setLowPower(enabled) {
+        this.isLowPower = enabled;
+        
+        try {
+            if (enabled) {
+                localStorage.setItem(this.storageKey, 'true');
+            } else {
+                localStorage.removeItem(this.storageKey);
+            }
+        } catch (error) {
+            // Storage unavailable; the choice lasts for this visit only
+        }
+        
+        this.setQualityLevel(enabled ? CONFIG.performance.quality.lowPower : 1);
+    }
+
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
     getFPS() {
         return this.fps;
     }
@@ -210,992 +742,4710 @@ class PerformanceMonitor {
 
 const performanceMonitor = new PerformanceMonitor();
 
-// Loading screen manager
-class LoadingManager {
+// Sort order for scene priorities; see CONFIG.performance.sceneBudgets
+const SCENE_PRIORITIES = { high: 0, normal: 1, low: 2 };
+
+// Scene speeds are written per frame at this rate; updates scale them by delta * BASE_FRAME_RATE
+const BASE_FRAME_RATE = 60;
+// Scenes simulate in steps of this many seconds whatever the frame rate, so the same seed and
+// time always give the same frame
+const SCENE_STEP = 1 / BASE_FRAME_RATE;
+
+// Drives every running scene from a single requestAnimationFrame loop
+class SceneScheduler {
     constructor() {
-        this.loadingScreen = document.getElementById('loading-screen');
-        this.progressBar = document.querySelector('.loading-progress');
-        this.percentageText = document.querySelector('.loading-percentage');
-        this.loadingParticles = document.querySelector('.loading-particles');
-        this.progress = 0;
-        this.isComplete = false;
-        
-        this.initParticles();
+        this.scenes = [];
+        this.frameId = null;
+        this.lastTime = 0;
+        this.frameTime = 0;
+        this.frame = 0;
+        this.timeScale = CONFIG.animations.timeScale;
+        this.listeners = new Set();
+        this.tick = this.tick.bind(this);
     }
 
-    initParticles() {
-        if (appState.isReducedMotion || !this.loadingParticles) return;
+    setTimeScale(timeScale) {
+        this.timeScale = Math.max(0, timeScale);
+        // Offscreen scenes run on the worker's own scheduler
+        sceneWorkerHost?.post({ type: 'timeScale', timeScale: this.timeScale });
+    }
+
+    // Called with the measured frame time (ms) once per frame
+    onFrame(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    add(scene) {
+        if (this.scenes.includes(scene)) return;
         
-        const particleCount = appState.isMobile ? 30 : 60;
+        this.scenes.push(scene);
+        this.scenes.sort((a, b) => this.getPriority(a) - this.getPriority(b));
         
-        for (let i = 0; i < particleCount; i++) {
-            const particle = document.createElement('div');
-            particle.className = 'loading-particle';
-            particle.style.cssText = `
-                position: absolute;
-                width: ${Utils.random(2, 6)}px;
-                height: ${Utils.random(2, 6)}px;
-                background: rgba(50, 184, 198, ${Utils.random(0.3, 0.8)});
-                border-radius: 50%;
-                left: ${Utils.random(0, 100)}%;
-                top: ${Utils.random(0, 100)}%;
-                animation: particleFloat ${Utils.random(3, 8)}s ease-in-out infinite;
-                animation-delay: ${Utils.random(0, 2)}s;
-                box-shadow: 0 0 10px rgba(50, 184, 198, 0.5);
-            `;
-            this.loadingParticles.appendChild(particle);
+        if (!this.frameId) {
+            this.lastTime = performance.now();
+            this.frameId = requestAnimationFrame(this.tick);
         }
-        
-        const style = document.createElement('style');
-        style.textContent = `
-            @keyframes particleFloat {
-                0%, 100% { transform: translateY(0px) rotate(0deg); opacity: 0.3; }
-                50% { transform: translateY(-20px) rotate(180deg); opacity: 1; }
-            }
-        `;
-        document.head.appendChild(style);
     }
 
-    updateProgress(targetProgress) {
-        this.progress = Math.min(targetProgress, 100);
-        
-        if (this.progressBar) {
-            this.progressBar.style.width = `${this.progress}%`;
+    remove(scene) {
+        const index = this.scenes.indexOf(scene);
+        if (index !== -1) {
+            this.scenes.splice(index, 1);
         }
         
-        if (this.percentageText) {
-            this.percentageText.textContent = `${Math.round(this.progress)}%`;
-        }
-        
-        if (this.progress >= 100 && !this.isComplete) {
-            this.complete();
+        if (!this.scenes.length && this.frameId) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
         }
     }
 
-    complete() {
-        this.isComplete = true;
+    getPriority(scene) {
+        return SCENE_PRIORITIES[scene.options.priority] ?? SCENE_PRIORITIES.normal;
+    }
+
+    getBudget(scene) {
+        const budgets = CONFIG.performance.sceneBudgets;
+        return scene.options.budget || budgets[scene.options.priority] || budgets.normal;
+    }
+
+    tick(now) {
+        this.frameId = requestAnimationFrame(this.tick);
+        this.frameTime = now - this.lastTime;
+        this.lastTime = now;
+        this.frame++;
+        performanceMonitor.update();
+        this.listeners.forEach(listener => listener(this.frameTime));
         
-        setTimeout(() => {
-            if (this.loadingScreen) {
-                this.loadingScreen.classList.add('loaded');
-                appState.isLoaded = true;
-                
-                setTimeout(() => {
-                    this.loadingScreen.style.display = 'none';
-                    document.body.style.overflow = 'auto';
-                    App.init();
-                }, 1000);
+        const delta = Math.min(this.frameTime / 1000, CONFIG.performance.maxFrameDelta) * this.timeScale;
+        const frameBudget = 1000 / CONFIG.performance.targetFPS;
+        // The previous frame already ran long, so start shedding low-priority work right away
+        const wasOverBudget = this.frameTime > frameBudget * 1.5;
+        const start = performance.now();
+        
+        // Copy, since a scene may stop itself (and leave the list) mid-frame
+        this.scenes.slice().forEach(scene => {
+            // Skipped frames still count, so throttled scenes keep real-time speed
+            scene.pendingDelta += delta;
+            
+            if (!this.shouldRun(scene, wasOverBudget || performance.now() - start > frameBudget)) {
+                scene.stats.skippedFrames++;
+                return;
             }
-        }, 500);
+            
+            const sceneStart = performance.now();
+            scene.tick(scene.pendingDelta);
+            scene.pendingDelta = 0;
+            const elapsed = performance.now() - sceneStart;
+            
+            scene.stats.renderTime = scene.stats.renderTime * 0.9 + elapsed * 0.1;
+            scene.stats.skippedFrames = 0;
+        });
+    }
+
+    shouldRun(scene, isOverBudget) {
+        const priority = scene.options.priority;
+        if (priority === 'high') return true;
+        
+        // Never starve a scene completely
+        if (scene.stats.skippedFrames >= CONFIG.performance.maxSkippedFrames) return true;
+        
+        if (priority === 'low' && isOverBudget) return false;
+        
+        // Scenes that keep exceeding their own budget drop to every other frame
+        return scene.stats.renderTime <= this.getBudget(scene) || this.frame % 2 === 0;
     }
 }
 
-const loadingManager = new LoadingManager();
+const sceneScheduler = new SceneScheduler();
 
-// Enhanced 3D Scene base class
-class Scene3D {
-    constructor(canvas, options = {}) {
-        this.canvas = canvas;
-        this.ctx = null;
-        this.isRunning = false;
-        this.animationId = null;
-        this.time = 0;
-        this.options = {
-            particleCount: options.particleCount || 50,
-            type: options.type || 'default',
-            ...options
-        };
+// Theme manager - follows the OS colour scheme until the visitor picks one
+class ThemeManager {
+    constructor() {
+        this.root = document.documentElement;
+        this.toggle = document.getElementById('theme-toggle');
+        this.mediaQuery = Utils.matchMedia('(prefers-color-scheme: dark)');
+        this.storageKey = 'futureai.theme';
+        this.preference = this.readPreference();
+        this.listeners = new Set();
+        // Aborted by dispose() to remove every DOM listener at once
+        this.abortController = new AbortController();
         
-        if (this.canvas) {
-            this.init();
-        }
+        this.init();
     }
 
     init() {
-        if (!this.canvas) return;
-        
-        this.ctx = this.canvas.getContext('2d');
-        if (!this.ctx) return;
-        
-        this.setupCanvas();
-        this.start();
+        this.setupEventListeners();
+        this.apply();
     }
 
-    setupCanvas() {
-        const rect = this.canvas.getBoundingClientRect();
-        const dpr = window.devicePixelRatio || 1;
+    setupEventListeners() {
+        const { signal } = this.abortController;
+        this.onSystemChange = () => {
+            if (!this.preference) {
+                this.apply();
+            }
+        };
         
-        this.canvas.width = rect.width * dpr;
-        this.canvas.height = rect.height * dpr;
+        if (this.mediaQuery.addEventListener) {
+            this.mediaQuery.addEventListener('change', this.onSystemChange, { signal });
+        } else {
+            this.mediaQuery.addListener?.(this.onSystemChange);
+        }
         
-        this.ctx.scale(dpr, dpr);
-        this.canvas.style.width = rect.width + 'px';
-        this.canvas.style.height = rect.height + 'px';
+        this.toggle?.addEventListener('click', () => this.toggleTheme(), { signal });
     }
 
-    start() {
-        this.isRunning = true;
-        this.animate();
+    dispose() {
+        this.abortController.abort();
+        this.mediaQuery.removeListener?.(this.onSystemChange);
+        this.listeners.clear();
     }
 
-    stop() {
-        this.isRunning = false;
-        if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
-        }
+    get systemTheme() {
+        return this.mediaQuery.matches ? 'dark' : 'light';
     }
 
-    animate() {
-        if (!this.isRunning) return;
-        
-        this.animationId = requestAnimationFrame(this.animate.bind(this));
-        this.time += 0.016;
-        this.update();
-        this.render();
-        performanceMonitor.update();
+    get theme() {
+        return this.preference || this.systemTheme;
     }
 
-    update() {
-        // Override in subclasses
+    readPreference() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            return stored === 'dark' || stored === 'light' ? stored : null;
+        } catch (error) {
+            return null;
+        }
     }
 
-    render() {
-        if (!this.ctx) return;
+    setPreference(theme) {
+        // Picking the OS theme clears the override so OS changes apply again
+        this.preference = theme === this.systemTheme ? null : theme;
         
-        const rect = this.canvas.getBoundingClientRect();
-        this.ctx.clearRect(0, 0, rect.width, rect.height);
+        try {
+            if (this.preference) {
+                localStorage.setItem(this.storageKey, this.preference);
+            } else {
+                localStorage.removeItem(this.storageKey);
+            }
+        } catch (error) {
+            // Storage unavailable; the choice lasts for this visit only
+        }
         
-        this.renderDefault();
+        this.apply();
     }
 
-    renderDefault() {
-        const rect = this.canvas.getBoundingClientRect();
-        const centerX = rect.width / 2;
-        const centerY = rect.height / 2;
-        
-        this.ctx.save();
-        this.ctx.translate(centerX, centerY);
-        this.ctx.rotate(this.time);
+    toggleTheme() {
+        this.setPreference(this.theme === 'dark' ? 'light' : 'dark');
+    }
+
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    apply() {
+        const theme = this.theme;
+        const next = theme === 'dark' ? 'light' : 'dark';
         
-        const size = 30;
-        this.ctx.strokeStyle = '#32b8c6';
-        this.ctx.lineWidth = 2;
-        this.ctx.shadowColor = '#32b8c6';
-        this.ctx.shadowBlur = 10;
+        this.root.setAttribute('data-color-scheme', theme);
+        appState.theme = theme;
         
-        this.ctx.strokeRect(-size, -size, size * 2, size * 2);
+        if (this.toggle) {
+            this.toggle.setAttribute('aria-label', `Switch to ${next} theme`);
+            this.toggle.setAttribute('title', `Switch to ${next} theme`);
+            this.toggle.setAttribute('data-theme', theme);
+        }
         
-        this.ctx.rotate(-this.time * 2);
-        this.ctx.strokeStyle = 'rgba(50, 184, 198, 0.5)';
-        this.ctx.strokeRect(-size * 0.7, -size * 0.7, size * 1.4, size * 1.4);
+        this.listeners.forEach(listener => listener(theme));
+    }
+}
+
+// Page-wide managers below are created by bootstrap() and stay null until then (and in the worker),
+// so the classes that use them check first and work on their own
+let themeManager = null;
+
+// Reduced motion: follows prefers-reduced-motion unless the motion toggle overrides it
+class MotionManager {
+    constructor() {
+        this.root = document.documentElement;
+        this.toggle = document.getElementById('motion-toggle');
+        this.mediaQuery = Utils.matchMedia('(prefers-reduced-motion: reduce)');
+        this.storageKey = 'futureai.motion';
+        this.preference = this.readPreference();
+        this.listeners = new Set();
+        // Aborted by dispose() to remove every DOM listener at once
+        this.abortController = new AbortController();
         
-        this.ctx.restore();
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.apply();
+    }
+
+    setupEventListeners() {
+        const { signal } = this.abortController;
+        this.onSystemChange = () => {
+            if (!this.preference) {
+                this.apply();
+            }
+        };
+        
+        if (this.mediaQuery.addEventListener) {
+            this.mediaQuery.addEventListener('change', this.onSystemChange, { signal });
+        } else {
+            this.mediaQuery.addListener?.(this.onSystemChange);
+        }
+        
+        this.toggle?.addEventListener('click', () => this.toggleMotion(), { signal });
     }
 
     dispose() {
-        this.stop();
+        this.abortController.abort();
+        this.mediaQuery.removeListener?.(this.onSystemChange);
+        this.listeners.clear();
+    }
+
+    get isReduced() {
+        return this.preference ? this.preference === 'reduce' : this.mediaQuery.matches;
+    }
+
+    readPreference() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            return stored === 'reduce' || stored === 'full' ? stored : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    setReduced(isReduced) {
+        // Matching the OS setting clears the override so OS changes apply again
+        this.preference = isReduced === this.mediaQuery.matches ? null : (isReduced ? 'reduce' : 'full');
+        
+        try {
+            if (this.preference) {
+                localStorage.setItem(this.storageKey, this.preference);
+            } else {
+                localStorage.removeItem(this.storageKey);
+            }
+        } catch (error) {
+            // Storage unavailable; the choice lasts for this visit only
+        }
+        
+        this.apply();
+    }
+
+    toggleMotion() {
+        this.setReduced(!this.isReduced);
+    }
+
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    apply() {
+        const isReduced = this.isReduced;
+        
+        this.root.setAttribute('data-motion', isReduced ? 'reduce' : 'full');
+        appState.isReducedMotion = isReduced;
+        
+        this.toggle?.setAttribute('aria-pressed', String(isReduced));
+        
+        this.listeners.forEach(listener => listener(isReduced));
     }
 }
 
-// Enhanced Hero scene with advanced particle system
-class HeroScene extends Scene3D {
-    constructor(canvas) {
-        super(canvas, { particleCount: appState.isMobile ? 80 : 150 });
-        this.particles = [];
-        this.shapes = [];
-        this.connections = [];
-        this.initializeElements();
+let motionManager = null;
+
+// Loading screen manager. The bar follows real work: each piece is added with track() and
+// fills its weight's share as it settles. finish() waits for all of it, or CONFIG.loading.timeout, before the exit.
+class LoadingManager {
+    // `onComplete` runs once the loading screen is out of the way
+    constructor({ onComplete } = {}) {
+        this.onComplete = onComplete;
+        this.loadingScreen = document.getElementById('loading-screen');
+        this.progressBar = document.querySelector('.loading-progress');
+        this.percentageText = document.querySelector('.loading-percentage');
+        this.loadingParticles = document.querySelector('.loading-particles');
+        this.progress = 0;
+        this.isComplete = false;
+        this.tasks = [];
+        this.timeoutId = null;
+        // Parsed CONFIG.loading.data files, keyed by URL
+        this.data = new Map();
+        
+        this.initParticles();
     }
 
-    initializeElements() {
-        const rect = this.canvas?.getBoundingClientRect() || { width: 800, height: 600 };
+    // `work` is a promise or a list of them; a list moves the bar a step per item. Failures
+    // count as done, since one broken asset shouldn't keep the site hidden.
+    track(name, work, weight = 1) {
+        const items = Array.isArray(work) ? work : [work];
+        const task = { name, weight, settled: 0, total: items.length };
+        task.promise = Promise.all(items.map(item => Promise.resolve(item)
+            .catch(error => console.warn(`Loading ${name} failed:`, error))
+            .finally(() => {
+                task.settled++;
+                // Work that settles after a timeout mustn't move the bar back from 100
+                if (!this.isComplete) {
+                    this.updateProgress(this.getTaskProgress());
+                }
+            })
+        ));
+        this.tasks.push(task);
+        return task.promise;
+    }
+
+    getTaskProgress() {
+        const total = this.tasks.reduce((sum, task) => sum + task.weight, 0);
+        if (!total) return 0;
         
-        // Create enhanced particles
-        for (let i = 0; i < this.options.particleCount; i++) {
-            this.particles.push({
-                x: Math.random() * rect.width,
-                y: Math.random() * rect.height,
-                z: Math.random() * 100,
-                size: Math.random() * 3 + 1,
-                speed: Math.random() * 0.5 + 0.1,
-                angle: Math.random() * Math.PI * 2,
-                opacity: Math.random() * 0.5 + 0.3,
-                pulsePhase: Math.random() * Math.PI * 2,
-                connections: []
+        const done = this.tasks.reduce((sum, task) => {
+            return sum + task.weight * (task.total ? task.settled / task.total : 1);
+        }, 0);
+        // 100 is left for finish(), so the exit only starts there
+        return Math.min(done / total * 100, 99);
+    }
+
+    // Resolves once every tracked task has settled or the timeout has passed, then plays the exit
+    finish() {
+        const pending = Promise.all(this.tasks.map(task => task.promise));
+        const timeout = new Promise(resolve => {
+            this.timeoutId = setTimeout(() => {
+                const stuck = this.tasks.filter(task => task.settled < task.total).map(task => task.name);
+                console.warn(`Loading timed out after ${CONFIG.loading.timeout}ms, still waiting for: ${stuck.join(', ')}`);
+                resolve();
+            }, CONFIG.loading.timeout);
+        });
+        
+        return Promise.race([pending, timeout]).then(() => {
+            clearTimeout(this.timeoutId);
+            this.updateProgress(100);
+        });
+    }
+
+    waitForFonts() {
+        return document.fonts?.ready ?? Promise.resolve();
+    }
+
+    // Lazy images only load once scrolled to, so they aren't waited for
+    waitForImages(root = document) {
+        const images = [...root.querySelectorAll('img:not([loading="lazy"])')];
+        return images.map(image => {
+            if (image.complete) return Promise.resolve();
+            return new Promise(resolve => {
+                image.addEventListener('load', resolve, { once: true });
+                image.addEventListener('error', resolve, { once: true });
             });
+        });
+    }
+
+    // Fetches the CONFIG.loading.data files into this.data
+    loadData(urls) {
+        return urls.map(url => fetch(url)
+            .then(response => {
+                if (!response.ok) throw new Error(`${url}: ${response.status} ${response.statusText}`);
+                return response.json();
+            })
+            .then(data => this.data.set(url, data))
+        );
+    }
+
+    dispose() {
+        clearTimeout(this.timeoutId);
+        this.loadingParticles?.replaceChildren();
+        this.particleStyle?.remove();
+    }
+
+    initParticles() {
+        if (appState.isReducedMotion || !this.loadingParticles) return;
+        
+        const particleCount = appState.scaleCount(CONFIG.particles.loadingCount);
+        
+        for (let i = 0; i < particleCount; i++) {
+            const particle = document.createElement('div');
+            particle.className = 'loading-particle';
+            particle.style.cssText = `
+                position: absolute;
+                width: ${Utils.random(2, 6)}px;
+                height: ${Utils.random(2, 6)}px;
+                background: rgba(50, 184, 198, ${Utils.random(0.3, 0.8)});
+                border-radius: 50%;
+                left: ${Utils.random(0, 100)}%;
+                top: ${Utils.random(0, 100)}%;
+                animation: particleFloat ${Utils.random(3, 8)}s ease-in-out infinite;
+                animation-delay: ${Utils.random(0, 2)}s;
+                box-shadow: 0 0 10px rgba(50, 184, 198, 0.5);
+            `;
+            this.loadingParticles.appendChild(particle);
         }
         
-        // Create geometric shapes
-        for (let i = 0; i < 8; i++) {
-            this.shapes.push({
-                x: Math.random() * rect.width,
-                y: Math.random() * rect.height,
-                size: Math.random() * 60 + 30,
-                rotation: Math.random() * Math.PI * 2,
-                rotationSpeed: (Math.random() - 0.5) * 0.02,
-                type: Math.floor(Math.random() * 4),
-                pulse: Math.random() * Math.PI * 2,
-                opacity: Math.random() * 0.4 + 0.3
-            });
+        const style = document.createElement('style');
+        style.textContent = `
+            @keyframes particleFloat {
+                0%, 100% { transform: translateY(0px) rotate(0deg); opacity: 0.3; }
+                50% { transform: translateY(-20px) rotate(180deg); opacity: 1; }
+            }
+        `;
+        document.head.appendChild(style);
+        this.particleStyle = style;
+    }
+
+    updateProgress(targetProgress) {
+        this.progress = Math.min(targetProgress, 100);
+        appState.loadingProgress = this.progress;
+        
+        if (this.progressBar) {
+            this.progressBar.style.width = `${this.progress}%`;
+        }
+        
+        if (this.percentageText) {
+            this.percentageText.textContent = `${Math.round(this.progress)}%`;
+        }
+        
+        if (this.progress >= 100 && !this.isComplete) {
+            this.complete();
         }
     }
 
-    update() {
-        if (!this.canvas) return;
+    complete() {
+        this.isComplete = true;
         
-        const rect = this.canvas.getBoundingClientRect();
-        const mouseX = appState.mousePosition.x - rect.left;
-        const mouseY = appState.mousePosition.y - rect.top;
-        
-        // Update particles with mouse interaction
-        this.particles.forEach((particle, i) => {
-            const mouseDistance = Math.sqrt(
-                Math.pow(mouseX - particle.x, 2) + 
-                Math.pow(mouseY - particle.y, 2)
-            );
+        setTimeout(() => {
+            appState.isLoaded = true;
             
-            if (mouseDistance < 100) {
-                const mouseForce = (100 - mouseDistance) / 100;
-                const angle = Math.atan2(particle.y - mouseY, particle.x - mouseX);
-                particle.x += Math.cos(angle) * mouseForce * 2;
-                particle.y += Math.sin(angle) * mouseForce * 2;
+            if (!this.loadingScreen) {
+                this.onComplete?.();
+                return;
             }
             
-            particle.x += Math.cos(particle.angle) * particle.speed;
-            particle.y += Math.sin(particle.angle) * particle.speed;
-            particle.pulsePhase += 0.05;
+            this.loadingScreen.classList.add('loaded');
             
-            if (particle.x < 0 || particle.x > rect.width) particle.angle = Math.PI - particle.angle;
-            if (particle.y < 0 || particle.y > rect.height) particle.angle = -particle.angle;
+            setTimeout(() => {
+                this.loadingScreen.style.display = 'none';
+                appState.setScrollLock('loading', false);
+                this.onComplete?.();
+            }, CONFIG.animations.duration);
+        }, 500);
+    }
+}
+
+let loadingManager = null;
+
+// Shared by the WebGL vertex shaders. Positions are CSS pixels from the canvas's top-left corner
+// plus a depth; w grows with depth, so the perspective divide pulls far geometry towards the centre.
+const GL_PROJECTION = `
+    uniform vec2 uResolution;
+    uniform float uFocal;
+    
+    vec4 project(vec3 position) {
+        vec2 clip = (position.xy / uResolution * 2.0 - 1.0) * vec2(1.0, -1.0);
+        float w = max(0.1, (uFocal + position.z) / uFocal);
+        return vec4(clip, clamp(position.z / uFocal, -1.0, 1.0) * w, w);
+    }
+    
+    float depthFade(float z) {
+        return clamp(1.0 - z / (uFocal * 2.0), 0.25, 1.0);
+    }
+`;
+
+// Instanced glow sprites: one quad per point, with a solid core and a soft halo
+const GL_POINT_SHADERS = {
+    attributes: ['aCorner', 'aPoint', 'aColor'],
+    uniforms: ['uResolution', 'uFocal', 'uHalo', 'uGlow'],
+    vertex: `
+        attribute vec2 aCorner;
+        attribute vec4 aPoint;
+        attribute vec4 aColor;
+        uniform float uHalo;
+        varying vec2 vCorner;
+        varying vec4 vColor;
+        ${GL_PROJECTION}
+        
+        void main() {
+            vec4 center = project(aPoint.xyz);
+            // Added before the perspective divide, so distant points shrink as well
+            vec2 offset = aCorner * aPoint.w * uHalo / uResolution * 2.0 * vec2(1.0, -1.0);
+            gl_Position = center + vec4(offset, 0.0, 0.0);
+            vCorner = aCorner * uHalo;
+            vColor = vec4(aColor.rgb, aColor.a * depthFade(aPoint.z));
+        }
+    `,
+    fragment: `
+        precision mediump float;
+        uniform float uGlow;
+        varying vec2 vCorner;
+        varying vec4 vColor;
+        
+        void main() {
+            float radius = length(vCorner);
+            float core = 1.0 - smoothstep(0.7, 1.0, radius);
+            float halo = uGlow * exp(-radius * radius * 1.2);
+            float alpha = vColor.a * max(core, halo);
+            if (alpha < 0.004) discard;
+            gl_FragColor = vec4(vColor.rgb, alpha);
+        }
+    `
+};
+
+const GL_LINE_SHADERS = {
+    attributes: ['aPosition', 'aColor'],
+    uniforms: ['uResolution', 'uFocal'],
+    vertex: `
+        attribute vec3 aPosition;
+        attribute vec4 aColor;
+        varying vec4 vColor;
+        ${GL_PROJECTION}
+        
+        void main() {
+            gl_Position = project(aPosition);
+            vColor = vec4(aColor.rgb, aColor.a * depthFade(aPosition.z));
+        }
+    `,
+    fragment: `
+        precision mediump float;
+        varying vec4 vColor;
+        
+        void main() {
+            gl_FragColor = vColor;
+        }
+    `
+};
+
+const WEBGL_CONTEXT_OPTIONS = { alpha: true, antialias: true, depth: false, premultipliedAlpha: true };
+
+// Floats per point instance (x, y, z, size, r, g, b, a) and per line vertex (x, y, z, r, g, b, a)
+const GL_POINT_STRIDE = 8;
+const GL_LINE_STRIDE = 7;
+
+let webglContextCount = 0;
+
+// Batched WebGL drawing for scenes: collect points and lines each frame, then draw them in two calls
+class WebGLRenderer {
+    // Returns null when WebGL is unavailable; throws if setup fails after the canvas took a WebGL context
+    static create(canvas, callbacks) {
+        const gl = canvas.getContext('webgl2', WEBGL_CONTEXT_OPTIONS) || canvas.getContext('webgl', WEBGL_CONTEXT_OPTIONS);
+        if (!gl) return null;
+        
+        try {
+            return new WebGLRenderer(canvas, gl, callbacks);
+        } catch (error) {
+            gl.getExtension('WEBGL_lose_context')?.loseContext();
+            throw error;
+        }
+    }
+
+    constructor(canvas, gl, { onLost, onRestored } = {}) {
+        this.canvas = canvas;
+        this.gl = gl;
+        this.isLost = false;
+        this.isDisposed = false;
+        this.focal = 800;
+        this.width = 0;
+        this.height = 0;
+        this.glow = 1;
+        this.additive = true;
+        this.points = new Float32Array(GL_POINT_STRIDE * 256);
+        this.pointCount = 0;
+        this.lines = new Float32Array(GL_LINE_STRIDE * 2 * 512);
+        this.lineCount = 0;
+        
+        this.setup();
+        
+        // preventDefault() tells the browser we want the context back
+        this.onContextLost = (e) => {
+            e.preventDefault();
+            if (this.isDisposed) return;
             
-            particle.x = Math.max(0, Math.min(rect.width, particle.x));
-            particle.y = Math.max(0, Math.min(rect.height, particle.y));
+            this.isLost = true;
+            onLost?.();
+        };
+        
+        // Every GL object died with the old context, so build them again
+        this.onContextRestored = () => {
+            if (this.isDisposed) return;
             
-            // Update connections
-            particle.connections = [];
-            for (let j = i + 1; j < this.particles.length; j++) {
-                const other = this.particles[j];
-                const distance = Math.sqrt(
-                    Math.pow(particle.x - other.x, 2) + 
-                    Math.pow(particle.y - other.y, 2)
-                );
-                
-                if (distance < 120) {
-                    particle.connections.push({
-                        particle: other,
-                        opacity: (120 - distance) / 120
-                    });
-                }
+            try {
+                this.setup();
+                this.isLost = false;
+                onRestored?.();
+            } catch (error) {
+                console.warn('WebGL context restored but setup failed:', error);
             }
-        });
+        };
         
-        // Update shapes
-        this.shapes.forEach(shape => {
-            shape.rotation += shape.rotationSpeed;
-            shape.pulse += 0.03;
-        });
+        canvas.addEventListener('webglcontextlost', this.onContextLost);
+        canvas.addEventListener('webglcontextrestored', this.onContextRestored);
+        webglContextCount++;
     }
 
-    render() {
-        if (!this.ctx) return;
+    setup() {
+        const gl = this.gl;
         
-        const rect = this.canvas.getBoundingClientRect();
-        this.ctx.clearRect(0, 0, rect.width, rect.height);
+        if (typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext) {
+            this.vertexAttribDivisor = (index, divisor) => gl.vertexAttribDivisor(index, divisor);
+            this.drawArraysInstanced = (mode, first, count, instances) => gl.drawArraysInstanced(mode, first, count, instances);
+        } else {
+            const instancing = gl.getExtension('ANGLE_instanced_arrays');
+            if (!instancing) {
+                throw new Error('Instanced drawing is not supported');
+            }
+            this.vertexAttribDivisor = (index, divisor) => instancing.vertexAttribDivisorANGLE(index, divisor);
+            this.drawArraysInstanced = (mode, first, count, instances) => instancing.drawArraysInstancedANGLE(mode, first, count, instances);
+        }
         
-        // Render connections
-        this.particles.forEach(particle => {
-            particle.connections.forEach(connection => {
-                this.ctx.save();
-                this.ctx.globalAlpha = connection.opacity * 0.3;
-                this.ctx.strokeStyle = '#32b8c6';
-                this.ctx.lineWidth = 1;
-                this.ctx.beginPath();
-                this.ctx.moveTo(particle.x, particle.y);
-                this.ctx.lineTo(connection.particle.x, connection.particle.y);
-                this.ctx.stroke();
-                this.ctx.restore();
-            });
-        });
+        // Past these the browser quietly clamps the drawing buffer, so exports stay within them
+        const viewportDims = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+        const renderbufferSize = gl.getParameter(gl.MAX_RENDERBUFFER_SIZE);
+        this.maxSize = {
+            width: Math.min(viewportDims[0], renderbufferSize),
+            height: Math.min(viewportDims[1], renderbufferSize)
+        };
         
-        // Render particles
-        this.particles.forEach(particle => {
-            this.ctx.save();
-            const pulse = Math.sin(particle.pulsePhase) * 0.3 + 0.7;
-            this.ctx.globalAlpha = particle.opacity * pulse;
-            this.ctx.fillStyle = '#32b8c6';
-            this.ctx.shadowColor = '#32b8c6';
-            this.ctx.shadowBlur = 8;
-            
-            this.ctx.beginPath();
-            this.ctx.arc(particle.x, particle.y, particle.size * pulse, 0, Math.PI * 2);
-            this.ctx.fill();
-            this.ctx.restore();
-        });
+        this.pointProgram = this.createProgram(GL_POINT_SHADERS);
+        this.lineProgram = this.createProgram(GL_LINE_SHADERS);
         
-        // Render shapes
-        this.shapes.forEach(shape => {
-            this.ctx.save();
-            this.ctx.translate(shape.x, shape.y);
-            this.ctx.rotate(shape.rotation);
-            
-            const pulse = Math.sin(shape.pulse) * 0.2 + 0.8;
-            this.ctx.globalAlpha = shape.opacity * pulse;
-            this.ctx.strokeStyle = '#32b8c6';
-            this.ctx.lineWidth = 2;
-            this.ctx.shadowColor = '#32b8c6';
-            this.ctx.shadowBlur = 15;
-            
-            const size = shape.size * pulse;
+        this.cornerBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.cornerBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+        
+        this.pointBuffer = gl.createBuffer();
+        this.lineBuffer = gl.createBuffer();
+    }
+
+    createProgram({ vertex, fragment, attributes, uniforms }) {
+        const gl = this.gl;
+        const program = gl.createProgram();
+        
+        [[gl.VERTEX_SHADER, vertex], [gl.FRAGMENT_SHADER, fragment]].forEach(([type, source]) => {
+            const shader = gl.createShader(type);
+            gl.shaderSource(shader, source);
+            gl.compileShader(shader);
             
-            switch (shape.type) {
-                case 0: // cube
-                    this.ctx.strokeRect(-size/2, -size/2, size, size);
-                    break;
-                case 1: // circle
-                    this.ctx.beginPath();
-                    this.ctx.arc(0, 0, size/2, 0, Math.PI * 2);
-                    this.ctx.stroke();
-                    break;
-                case 2: // triangle
-                    this.ctx.beginPath();
-                    this.ctx.moveTo(0, -size/2);
-                    this.ctx.lineTo(-size/2, size/2);
-                    this.ctx.lineTo(size/2, size/2);
-                    this.ctx.closePath();
-                    this.ctx.stroke();
-                    break;
-                case 3: // diamond
-                    this.ctx.beginPath();
-                    this.ctx.moveTo(0, -size/2);
-                    this.ctx.lineTo(size/2, 0);
-                    this.ctx.lineTo(0, size/2);
-                    this.ctx.lineTo(-size/2, 0);
-                    this.ctx.closePath();
-                    this.ctx.stroke();
-                    break;
+            if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS) && !gl.isContextLost()) {
+                throw new Error(`Shader compile failed: ${gl.getShaderInfoLog(shader)}`);
             }
-            
-            this.ctx.restore();
+            gl.attachShader(program, shader);
         });
+        
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS) && !gl.isContextLost()) {
+            throw new Error(`Program link failed: ${gl.getProgramInfoLog(program)}`);
+        }
+        
+        const locations = {};
+        attributes.forEach(name => {
+            locations[name] = gl.getAttribLocation(program, name);
+        });
+        uniforms.forEach(name => {
+            locations[name] = gl.getUniformLocation(program, name);
+        });
+        
+        return { program, locations };
+    }
+
+    // `glow` (0-2) sizes and brightens point halos; additive blending suits dark backgrounds only
+    begin(width, height, { glow = 1, additive = true } = {}) {
+        this.width = width;
+        this.height = height;
+        this.glow = glow;
+        this.additive = additive;
+        this.pointCount = 0;
+        this.lineCount = 0;
+    }
+
+    point(x, y, z, size, color, alpha) {
+        this.points = this.reserve(this.points, (this.pointCount + 1) * GL_POINT_STRIDE);
+        
+        const i = this.pointCount * GL_POINT_STRIDE;
+        this.points[i] = x;
+        this.points[i + 1] = y;
+        this.points[i + 2] = z;
+        this.points[i + 3] = size;
+        this.points[i + 4] = color[0];
+        this.points[i + 5] = color[1];
+        this.points[i + 6] = color[2];
+        this.points[i + 7] = alpha;
+        this.pointCount++;
+    }
+
+    line(x1, y1, z1, x2, y2, z2, color, alpha) {
+        this.lines = this.reserve(this.lines, (this.lineCount + 1) * GL_LINE_STRIDE * 2);
+        
+        const i = this.lineCount * GL_LINE_STRIDE * 2;
+        this.lines.set([x1, y1, z1, color[0], color[1], color[2], alpha], i);
+        this.lines.set([x2, y2, z2, color[0], color[1], color[2], alpha], i + GL_LINE_STRIDE);
+        this.lineCount++;
+    }
+
+    reserve(array, length) {
+        if (length <= array.length) return array;
+        
+        const grown = new Float32Array(Math.max(length, array.length * 2));
+        grown.set(array);
+        return grown;
+    }
+
+    end() {
+        if (this.isLost) return;
+        
+        const gl = this.gl;
+        // The drawing buffer can be smaller than the canvas if the browser had to clamp it
+        gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        
+        gl.enable(gl.BLEND);
+        if (this.additive) {
+            gl.blendFuncSeparate(gl.SRC_ALPHA, gl.ONE, gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+        } else {
+            gl.blendFuncSeparate(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA, gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+        }
+        
+        this.drawLines();
+        this.drawPoints();
+    }
+
+    drawLines() {
+        if (!this.lineCount) return;
+        
+        const gl = this.gl;
+        const { program, locations } = this.lineProgram;
+        const bytes = Float32Array.BYTES_PER_ELEMENT;
+        
+        gl.useProgram(program);
+        this.setProjection(locations);
+        
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.lineBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, this.lines.subarray(0, this.lineCount * GL_LINE_STRIDE * 2), gl.DYNAMIC_DRAW);
+        this.bindAttribute(locations.aPosition, 3, GL_LINE_STRIDE * bytes, 0);
+        this.bindAttribute(locations.aColor, 4, GL_LINE_STRIDE * bytes, 3 * bytes);
+        
+        gl.drawArrays(gl.LINES, 0, this.lineCount * 2);
+        
+        this.unbindAttribute(locations.aPosition);
+        this.unbindAttribute(locations.aColor);
+    }
+
+    drawPoints() {
+        if (!this.pointCount) return;
+        
+        const gl = this.gl;
+        const { program, locations } = this.pointProgram;
+        const bytes = Float32Array.BYTES_PER_ELEMENT;
+        
+        gl.useProgram(program);
+        this.setProjection(locations);
+        gl.uniform1f(locations.uHalo, 1 + this.glow * 2);
+        gl.uniform1f(locations.uGlow, Math.min(1, this.glow) * 0.6);
+        
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.cornerBuffer);
+        this.bindAttribute(locations.aCorner, 2, 2 * bytes, 0);
+        
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.pointBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, this.points.subarray(0, this.pointCount * GL_POINT_STRIDE), gl.DYNAMIC_DRAW);
+        this.bindAttribute(locations.aPoint, 4, GL_POINT_STRIDE * bytes, 0, 1);
+        this.bindAttribute(locations.aColor, 4, GL_POINT_STRIDE * bytes, 4 * bytes, 1);
+        
+        this.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, this.pointCount);
+        
+        this.unbindAttribute(locations.aCorner);
+        this.unbindAttribute(locations.aPoint);
+        this.unbindAttribute(locations.aColor);
+    }
+
+    setProjection(locations) {
+        this.gl.uniform2f(locations.uResolution, this.width, this.height);
+        this.gl.uniform1f(locations.uFocal, this.focal);
+    }
+
+    bindAttribute(location, size, stride, offset, divisor = 0) {
+        if (location < 0) return;
+        
+        this.gl.enableVertexAttribArray(location);
+        this.gl.vertexAttribPointer(location, size, this.gl.FLOAT, false, stride, offset);
+        this.vertexAttribDivisor(location, divisor);
+    }
+
+    // Divisors belong to the attribute slot, not the program, so reset them after each draw
+    unbindAttribute(location) {
+        if (location < 0) return;
+        
+        this.vertexAttribDivisor(location, 0);
+        this.gl.disableVertexAttribArray(location);
+    }
+
+    dispose() {
+        if (this.isDisposed) return;
+        
+        this.isDisposed = true;
+        this.canvas.removeEventListener('webglcontextlost', this.onContextLost);
+        this.canvas.removeEventListener('webglcontextrestored', this.onContextRestored);
+        // Frees the context slot now rather than at garbage collection
+        this.gl.getExtension('WEBGL_lose_context')?.loseContext();
+        webglContextCount--;
+    }
+}
+
+// Unit wireframes for WebGL scenes, centred on the origin
+const WIREFRAMES = {
+    cube: {
+        vertices: [
+            [-0.5, -0.5, -0.5], [0.5, -0.5, -0.5], [0.5, 0.5, -0.5], [-0.5, 0.5, -0.5],
+            [-0.5, -0.5, 0.5], [0.5, -0.5, 0.5], [0.5, 0.5, 0.5], [-0.5, 0.5, 0.5]
+        ],
+        edges: [[0, 1], [1, 2], [2, 3], [3, 0], [4, 5], [5, 6], [6, 7], [7, 4], [0, 4], [1, 5], [2, 6], [3, 7]]
+    },
+    tetrahedron: {
+        vertices: [[0.35, 0.35, 0.35], [0.35, -0.35, -0.35], [-0.35, 0.35, -0.35], [-0.35, -0.35, 0.35]],
+        edges: [[0, 1], [0, 2], [0, 3], [1, 2], [1, 3], [2, 3]]
+    },
+    octahedron: {
+        vertices: [[0.5, 0, 0], [-0.5, 0, 0], [0, 0.5, 0], [0, -0.5, 0], [0, 0, 0.5], [0, 0, -0.5]],
+        edges: [[0, 2], [0, 3], [0, 4], [0, 5], [1, 2], [1, 3], [1, 4], [1, 5], [2, 4], [2, 5], [3, 4], [3, 5]]
+    }
+};
+
+// Numbers scenes created without options.seed
+let unnamedSceneCount = 0;
+
+// Exports stay within what every browser can allocate for one canvas: iOS Safari caps the
+// area at 16.7M pixels and most browsers a side at 16384
+const MAX_EXPORT_SIDE = 16384;
+const MAX_EXPORT_AREA = 16777216;
+
+// Enhanced 3D Scene base class
+class Scene3D {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.ctx = null;
+        // WebGLRenderer when drawing with WebGL; ctx stays null unless we fall back to 2D
+        this.renderer = null;
+        // The WebGL canvas, kept aside while a 2D stand-in is shown for a lost context
+        this.glCanvas = null;
+        this.colorVectors = {};
+        this.isRunning = false;
+        this.isSuspended = false;
+        this.isOutOfView = false;
+        // Paused by hand from the performance HUD
+        this.isPaused = false;
+        // Reduced motion: each start() draws a single frame and holds it
+        this.isStill = appState.isReducedMotion;
+        // Scene time in seconds, always a whole number of SCENE_STEPs; it only advances while
+        // running, so stop()/start() resumes in place
+        this.time = 0;
+        this.steps = 0;
+        // Time short of the next step, carried over to the next tick
+        this.stepRemainder = 0;
+        this.hasUpdated = false;
+        // Time owed from frames the scheduler skipped
+        this.pendingDelta = 0;
+        // Filled in by SceneScheduler
+        this.stats = {
+            renderTime: 0,
+            skippedFrames: 0
+        };
+        this.width = 0;
+        this.height = 0;
+        // 0.3-1 from PerformanceMonitor; scales particle counts, glow and resolution
+        this.quality = 1;
+        // Canvas-local pointer positions and device tilt; used when there is no PointerTracker
+        this.pointers = [];
+        this.tilt = { x: 0, y: 0 };
+        // Set when the canvas has been handed to the scene worker
+        this.worker = null;
+        this.workerId = null;
+        this.style = { ...DEFAULT_SCENE_STYLE };
+        this.options = {
+            particleCount: options.particleCount || 50,
+            type: options.type || 'default',
+            // 'high', 'normal' or 'low'; low-priority scenes are throttled first when frames run long
+            priority: options.priority || 'normal',
+            // Keep animating while scrolled out of view
+            alwaysRun: false,
+            ...options
+        };
+        
+        // Each scene draws from its own stream, keyed by options.seed (App passes the scene id),
+        // so the same page seed and the same ticks always give the same frame. A number is
+        // used as the stream seed as-is; that is also how worker scenes receive theirs.
+        this.seed = typeof this.options.seed === 'number'
+            ? this.options.seed
+            : Utils.deriveSeed(this.options.seed ?? `${this.constructor.name}-${++unnamedSceneCount}`);
+        this.random = Utils.createRandom(this.seed);
+        
+        if (this.canvas) {
+            this.init();
+        }
+    }
+
+    init() {
+        if (!this.canvas) return;
+        
+        // Listened for on the document, since page content often sits over the canvas. Only
+        // scenes that use presses subscribe, as each one hit-tests every click on the page.
+        if (pointerTracker && this.acceptsPress()) {
+            this.offPress = pointerTracker.onPress(point => this.handlePress(point));
+        }
+        
+        // Must happen before getContext(), which would lock the canvas to this thread
+        if (this.canRenderOffscreen() && this.initWorker()) return;
+        
+        if (this.canUseWebGL()) {
+            this.initWebGL();
+        }
+        
+        if (!this.renderer) {
+            this.ctx = this.canvas.getContext('2d');
+            if (!this.ctx) return;
+        }
+        
+        if (!IS_WORKER) {
+            this.style = this.readStyle();
+        }
+        this.setupCanvas();
+        this.start();
+    }
+
+    // Low-priority scenes are small enough that Canvas2D is fine, and WebGL contexts are scarce
+    canUseWebGL() {
+        return !IS_WORKER &&
+            CONFIG.performance.renderer === 'auto' &&
+            this.options.priority !== 'low' &&
+            webglContextCount < CONFIG.performance.maxWebGLContexts;
+    }
+
+    initWebGL() {
+        try {
+            this.renderer = WebGLRenderer.create(this.canvas, {
+                onLost: () => this.handleContextLost(),
+                onRestored: () => this.handleContextRestored()
+            });
+        } catch (error) {
+            console.warn('WebGL setup failed, falling back to Canvas2D:', error);
+            // This canvas is tied to WebGL now, so 2D needs a fresh element
+            this.replaceCanvas(this.canvas.cloneNode(false));
+        }
+    }
+
+    get isWebGL() {
+        return Boolean(this.renderer) && !this.renderer.isLost;
+    }
+
+    // Keep animating in 2D on a stand-in canvas until the browser restores the context
+    handleContextLost() {
+        this.glCanvas = this.canvas;
+        this.replaceCanvas(this.canvas.cloneNode(false));
+        this.ctx = this.canvas.getContext('2d');
+        this.setupCanvas();
+        this.draw();
+    }
+
+    handleContextRestored() {
+        if (!this.glCanvas) return;
+        
+        const glCanvas = this.glCanvas;
+        this.glCanvas = null;
+        this.replaceCanvas(glCanvas);
+        this.ctx = null;
+        this.setupCanvas();
+        this.draw();
+    }
+
+    // Swaps the element in the page; App listens for the event to keep observing the right canvas.
+    // Listeners added to the old element directly do not carry over, so page code that needs the
+    // current canvas should look it up by id or listen for scenecanvaschange on the document.
+    replaceCanvas(canvas) {
+        const previous = this.canvas;
+        previous.replaceWith(canvas);
+        this.canvas = canvas;
+        
+        canvas.dispatchEvent(new CustomEvent('scenecanvaschange', {
+            bubbles: true,
+            detail: { scene: this, previous }
+        }));
+    }
+
+    // Only built-in types the page hasn't re-registered, since the worker has just the built-in factories
+    canRenderOffscreen() {
+        const type = this.options.sceneType;
+        
+        return !IS_WORKER &&
+            CONFIG.performance.offscreenRendering &&
+            typeof this.canvas.transferControlToOffscreen === 'function' &&
+            OFFSCREEN_SCENE_TYPES.has(type) &&
+            OFFSCREEN_SCENE_TYPES.get(type) === SCENE_TYPES.get(type);
+    }
+
+    // Hands the canvas to the shared scene worker; returns false to stay on the main thread
+    initWorker() {
+        const host = getSceneWorkerHost();
+        if (!host) return false;
+        
+        const viewport = this.measure();
+        const offscreen = this.canvas.transferControlToOffscreen();
+        
+        this.worker = host;
+        this.workerId = host.nextSceneId();
+        this.width = viewport.width;
+        this.height = viewport.height;
+        this.style = this.readStyle();
+        
+        host.post({
+            type: 'init',
+            id: this.workerId,
+            sceneType: this.options.sceneType,
+            canvas: offscreen,
+            options: { ...this.options, seed: this.seed, viewport },
+            style: this.style,
+            breakpoint: appState.breakpoint,
+            // Scenes read CONFIG as they build, and the worker's copy only has the defaults
+            config: CONFIG,
+            isStill: this.isStill,
+            timeScale: sceneScheduler.timeScale
+        }, [offscreen]);
+        
+        this.forwardPointer();
+        this.start();
+        return true;
+    }
+
+    postToWorker(type, data = {}) {
+        this.worker.post({ type, id: this.workerId, ...data });
+    }
+
+    // The worker has no DOM, so pointer positions are sent across in canvas coordinates
+    forwardPointer() {
+        let frame = null;
+        
+        this.onPointerMove = () => {
+            if (frame) return;
+            
+            frame = requestAnimationFrame(() => {
+                frame = null;
+                this.postToWorker('pointer', { pointers: this.getPointers(), tilt: this.getTilt() });
+            });
+        };
+        
+        this.offPointerMove = pointerTracker?.onChange(this.onPointerMove);
+        window.addEventListener('scroll', this.onPointerMove, { passive: true });
+    }
+
+    // Every active mouse, touch and pen pointer, in canvas coordinates. Without a PointerTracker
+    // (in the worker, or before bootstrap()) they come from this.pointers instead.
+    getPointers() {
+        if (!pointerTracker) return this.pointers;
+        
+        const rect = this.canvas.getBoundingClientRect();
+        return pointerTracker.getPointers().map(pointer => ({
+            x: pointer.x - rect.left,
+            y: pointer.y - rect.top
+        }));
+    }
+
+    getTilt() {
+        return pointerTracker ? pointerTracker.tilt : this.tilt;
+    }
+
+    handlePress({ x, y }) {
+        const rect = this.canvas.getBoundingClientRect();
+        const point = { x: x - rect.left, y: y - rect.top };
+        if (point.x < 0 || point.y < 0 || point.x > rect.width || point.y > rect.height) return;
+        
+        if (this.worker) {
+            this.postToWorker('press', { point });
+            return;
+        }
+        
+        this.press(point);
+    }
+
+    // Called with canvas coordinates when a pointer goes down over the scene
+    press(point) {}
+
+    // Scenes that implement press() return true
+    acceptsPress() {
+        return false;
+    }
+
+    // Size in CSS pixels; in the worker it comes from the last resize message
+    measure() {
+        if (IS_WORKER) return this.options.viewport;
+        
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            width: rect.width,
+            height: rect.height,
+            dpr: window.devicePixelRatio || 1
+        };
+    }
+
+    // `pixelRatio` overrides the quality-scaled device pixel ratio, for exports
+    setupCanvas(pixelRatio = null) {
+        const { width, height, dpr } = this.measure();
+        this.width = width;
+        this.height = height;
+        
+        if (this.worker) {
+            this.postToWorker('resize', { viewport: { width, height, dpr } });
+            return;
+        }
+        
+        const ratio = pixelRatio ?? this.getPixelRatio(dpr);
+        this.canvas.width = width * ratio;
+        this.canvas.height = height * ratio;
+        
+        // WebGLRenderer sets its viewport from the canvas size every frame
+        if (this.ctx && !this.isWebGL) {
+            this.ctx.scale(ratio, ratio);
+        }
+        // OffscreenCanvas has no style; the placeholder element keeps its own
+        if (this.canvas.style) {
+            this.canvas.style.width = width + 'px';
+            this.canvas.style.height = height + 'px';
+        }
+    }
+
+    start() {
+        if (this.isRunning) return;
+        
+        this.isRunning = true;
+        if (this.worker) {
+            this.postToWorker('start');
+            return;
+        }
+        
+        // The first tick comes on the next frame, so subclass constructors finish before update() runs
+        sceneScheduler.add(this);
+    }
+
+    stop() {
+        this.isRunning = false;
+        if (this.worker) {
+            this.postToWorker('stop');
+            return;
+        }
+        
+        sceneScheduler.remove(this);
+        this.pendingDelta = 0;
+    }
+
+    setQuality(quality) {
+        if (quality === this.quality) return;
+        
+        this.quality = quality;
+        if (this.worker) {
+            this.postToWorker('quality', { quality });
+            return;
+        }
+        
+        // Backing store resolution follows quality
+        if (this.ctx || this.renderer) {
+            this.setupCanvas();
+            if (!this.isRunning) {
+                this.draw();
+            }
+        }
+    }
+
+    // Lower quality drops high-DPI screens towards 1x, never below it
+    getPixelRatio(dpr) {
+        return Math.max(1, dpr * this.quality);
+    }
+
+    // How many of `total` particles/elements to animate at the current quality
+    getActiveCount(total) {
+        return Math.max(1, Math.ceil(total * this.quality));
+    }
+
+    // Suspended scenes stay stopped until resumed, even when the page becomes visible again
+    suspend() {
+        this.isSuspended = true;
+        this.stop();
+    }
+
+    resume() {
+        this.isSuspended = false;
+        if (!this.isRunning && this.canRun()) {
+            this.start();
+        }
+    }
+
+    // Time only advances in tick(), so the animation picks up where it left off
+    setOutOfView(isOutOfView) {
+        if (this.options.alwaysRun) return;
+        
+        this.isOutOfView = isOutOfView;
+        if (isOutOfView) {
+            this.stop();
+        } else if (!this.isRunning && this.canRun() && !document.hidden) {
+            this.start();
+        }
+    }
+
+    setPaused(isPaused) {
+        this.isPaused = isPaused;
+        if (isPaused) {
+            this.stop();
+        } else if (!this.isRunning && this.canRun() && !document.hidden) {
+            this.start();
+        }
+    }
+
+    canRun() {
+        return !this.isSuspended && !this.isOutOfView && !this.isPaused;
+    }
+
+    setStill(isStill) {
+        this.isStill = isStill;
+        if (this.worker) {
+            this.postToWorker('still', { isStill, isRunning: this.isRunning });
+            return;
+        }
+        
+        // Turning still on takes effect after the next frame; see tick()
+        if (!isStill && !this.isRunning && this.canRun() && !document.hidden) {
+            this.start();
+        }
+    }
+
+    // Reported by the performance HUD
+    getParticleCount() {
+        return 0;
+    }
+
+    // Called by SceneScheduler with the seconds elapsed since this scene last ticked
+    tick(delta) {
+        this.advance(delta);
+        this.draw();
+        
+        if (this.isStill) {
+            this.stop();
+        }
+    }
+
+    // Runs update() once per whole SCENE_STEP in `delta` plus the carried-over remainder, so the
+    // state at a given time doesn't depend on how the frames that led there were timed
+    advance(delta) {
+        // The epsilon keeps float error from pushing a whole step into the next tick
+        const steps = Math.floor((this.stepRemainder + delta) / SCENE_STEP + 1e-6);
+        this.stepRemainder = Math.max(0, this.stepRemainder + delta - steps * SCENE_STEP);
+        
+        for (let i = 0; i < steps; i++) {
+            this.steps++;
+            this.time = this.steps * SCENE_STEP;
+            this.update(SCENE_STEP);
+        }
+        
+        // The first frame (and a still scene's only one) needs update()'s derived state, such as
+        // the active particles and connections, before a whole step has passed
+        if (!steps && !this.hasUpdated) {
+            this.update(0);
+        }
+        this.hasUpdated = true;
+    }
+
+    draw() {
+        if (this.isWebGL) {
+            this.renderGL();
+        } else if (this.ctx) {
+            this.render();
+        }
+    }
+
+    // Reads --scene-primary/secondary/accent, --scene-glow and --scene-line-width from the canvas
+    readStyle() {
+        const computed = window.getComputedStyle(this.canvas);
+        const read = (name) => computed.getPropertyValue(name).trim();
+        const readNumber = (name, fallback) => {
+            const value = parseFloat(read(name));
+            return Number.isFinite(value) && value >= 0 ? value : fallback;
+        };
+        
+        const primary = Utils.parseColor(read('--scene-primary')) || DEFAULT_SCENE_STYLE.primary;
+        
+        return {
+            primary,
+            secondary: Utils.parseColor(read('--scene-secondary')) || primary,
+            accent: Utils.parseColor(read('--scene-accent')) || primary,
+            glow: readNumber('--scene-glow', DEFAULT_SCENE_STYLE.glow),
+            lineWidth: readNumber('--scene-line-width', DEFAULT_SCENE_STYLE.lineWidth)
+        };
+    }
+
+    refreshStyle() {
+        if (!this.canvas) return;
+        
+        const style = this.readStyle();
+        const changed = Object.keys(style).some(key => style[key] !== this.style[key]);
+        if (changed) {
+            this.setStyle(style);
+        }
+    }
+
+    setStyle(style) {
+        this.style = style;
+        
+        if (this.worker) {
+            this.postToWorker('style', { style });
+            return;
+        }
+        
+        // Paused scenes keep showing their last frame, so redraw it in the new style
+        if (!this.isRunning) {
+            this.draw();
+        }
+    }
+
+    color(name = 'primary', alpha = 1) {
+        return `rgba(${this.style[name]}, ${alpha})`;
+    }
+
+    // Scene colour as 0-1 floats for WebGLRenderer, cached until the style changes
+    colorVector(name = 'primary') {
+        const value = this.style[name];
+        
+        if (this.colorVectors[name]?.value !== value) {
+            this.colorVectors[name] = {
+                value,
+                rgb: value.split(',').map(channel => parseFloat(channel) / 255)
+            };
+        }
+        
+        return this.colorVectors[name].rgb;
+    }
+
+    glOptions() {
+        return {
+            glow: Utils.clamp(this.glow(1), 0, 2),
+            // Additive glow washes out on light backgrounds
+            additive: appState.theme !== 'light'
+        };
+    }
+
+    strokeWireframe(shape, x, y, z, size, rotation, color, alpha) {
+        const points = shape.vertices.map(([vx, vy, vz]) => Utils.rotate3D(vx * size, vy * size, vz * size, rotation));
+        
+        shape.edges.forEach(([from, to]) => {
+            const a = points[from];
+            const b = points[to];
+            this.renderer.line(x + a.x, y + a.y, z + a.z, x + b.x, y + b.y, z + b.z, color, alpha);
+        });
+    }
+
+    strokeRing(x, y, z, radius, rotation, color, alpha, segments = 48) {
+        let previous = Utils.rotate3D(radius, 0, 0, rotation);
+        
+        for (let i = 1; i <= segments; i++) {
+            const angle = (i / segments) * Math.PI * 2;
+            const next = Utils.rotate3D(Math.cos(angle) * radius, Math.sin(angle) * radius, 0, rotation);
+            this.renderer.line(x + previous.x, y + previous.y, z + previous.z, x + next.x, y + next.y, z + next.z, color, alpha);
+            previous = next;
+        }
+    }
+
+    // shadowBlur is the most expensive Canvas2D effect, so it goes first at low quality
+    glow(blur) {
+        if (this.quality < 0.5) return 0;
+        return blur * this.style.glow * this.quality;
+    }
+
+    lineWidth(width) {
+        return width * this.style.lineWidth;
+    }
+
+    update(delta) {
+        // Override in subclasses
+    }
+
+    render() {
+        if (!this.ctx) return;
+        
+        this.ctx.clearRect(0, 0, this.width, this.height);
+        
+        this.renderDefault();
+    }
+
+    renderDefault() {
+        const centerX = this.width / 2;
+        const centerY = this.height / 2;
+        
+        this.ctx.save();
+        this.ctx.translate(centerX, centerY);
+        this.ctx.rotate(this.time);
+        
+        const size = 30;
+        this.ctx.strokeStyle = this.color('primary');
+        this.ctx.lineWidth = this.lineWidth(2);
+        this.ctx.shadowColor = this.color('primary');
+        this.ctx.shadowBlur = this.glow(10);
+        
+        this.ctx.strokeRect(-size, -size, size * 2, size * 2);
+        
+        this.ctx.rotate(-this.time * 2);
+        this.ctx.strokeStyle = this.color('secondary', 0.5);
+        this.ctx.strokeRect(-size * 0.7, -size * 0.7, size * 1.4, size * 1.4);
+        
+        this.ctx.restore();
+    }
+
+    renderGL() {
+        this.renderer.begin(this.width, this.height, this.glOptions());
+        this.renderDefaultGL(this.width / 2, this.height / 2);
+        this.renderer.end();
+    }
+
+    renderDefaultGL(x, y) {
+        this.strokeWireframe(WIREFRAMES.cube, x, y, 0, 60, { x: this.time * 0.7, y: this.time, z: this.time }, this.colorVector('primary'), 1);
+        this.strokeWireframe(WIREFRAMES.cube, x, y, 0, 42, { x: -this.time, y: -this.time * 2, z: -this.time }, this.colorVector('secondary'), 0.5);
+    }
+
+    // Redraws the current frame with `scale` device pixels per CSS pixel at full quality,
+    // rather than upscaling what is on screen. Resolves with a PNG blob.
+    exportImage({ scale = 2 } = {}) {
+        scale = Math.min(scale, this.getMaxExportScale());
+        
+        if (this.worker) {
+            return this.worker.request({ type: 'export', id: this.workerId, scale });
+        }
+        
+        if (!this.ctx && !this.renderer) {
+            return Promise.reject(new Error('Scene has nothing to export'));
+        }
+        
+        const quality = this.quality;
+        this.quality = 1;
+        this.setupCanvas(scale);
+        this.draw();
+        // Taken straight after drawing, before WebGL clears its drawing buffer
+        const blob = this.toBlob();
+        
+        this.quality = quality;
+        this.setupCanvas();
+        this.draw();
+        return blob;
+    }
+
+    // Largest exportImage() scale the canvas allows at its current size
+    getMaxExportScale() {
+        const width = Math.max(this.width, 1);
+        const height = Math.max(this.height, 1);
+        const limits = [MAX_EXPORT_SIDE / Math.max(width, height), Math.sqrt(MAX_EXPORT_AREA / (width * height))];
+        
+        // WebGL has its own, often lower, limits on the drawing buffer
+        if (this.isWebGL) {
+            const { maxSize } = this.renderer;
+            limits.push(maxSize.width / width, maxSize.height / height);
+        }
+        
+        return Math.min(...limits);
+    }
+
+    toBlob(type = 'image/png') {
+        if (typeof this.canvas.convertToBlob === 'function') {
+            return this.canvas.convertToBlob({ type });
+        }
+        
+        return new Promise((resolve, reject) => {
+            this.canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Canvas could not be encoded'))), type);
+        });
+    }
+
+    // Records `duration` seconds of the live canvas as WebM. The scene runs for the
+    // recording even if reduced motion or scrolling had stopped it.
+    recordVideo({ duration = 5, fps = CONFIG.export.fps } = {}) {
+        const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+            .find(type => typeof MediaRecorder !== 'undefined' && MediaRecorder.isTypeSupported(type));
+        
+        if (typeof this.canvas.captureStream !== 'function' || !mimeType) {
+            return Promise.reject(new Error('WebM recording is not supported in this browser'));
+        }
+        
+        const stream = this.canvas.captureStream(fps);
+        const recorder = new MediaRecorder(stream, { mimeType });
+        const chunks = [];
+        const wasStill = this.isStill;
+        const wasRunning = this.isRunning;
+        
+        const restore = () => {
+            stream.getTracks().forEach(track => track.stop());
+            this.setStill(wasStill);
+            if (!wasRunning) {
+                this.stop();
+            }
+        };
+        
+        this.setStill(false);
+        this.start();
+        
+        return new Promise((resolve, reject) => {
+            recorder.addEventListener('dataavailable', (e) => {
+                if (e.data.size) chunks.push(e.data);
+            });
+            recorder.addEventListener('stop', () => {
+                restore();
+                resolve(new Blob(chunks, { type: 'video/webm' }));
+            });
+            recorder.addEventListener('error', (e) => {
+                restore();
+                reject(e.error || new Error('Recording failed'));
+            });
+            
+            recorder.start();
+            setTimeout(() => recorder.stop(), duration * 1000);
+        });
+    }
+
+    dispose() {
+        this.stop();
+        this.offPress?.();
+        
+        this.renderer?.dispose();
+        this.renderer = null;
+        
+        if (this.worker) {
+            this.postToWorker('dispose');
+            this.offPointerMove?.();
+            window.removeEventListener('scroll', this.onPointerMove);
+        }
+    }
+}
+
+// Main-thread handle on the worker that renders transferred canvases
+class SceneWorkerHost {
+    constructor(url) {
+        this.worker = new Worker(url, { type: 'module' });
+        this.lastSceneId = 0;
+        this.lastRequestId = 0;
+        // Pending request() promises by request id
+        this.requests = new Map();
+        
+        // Canvases are already transferred by now, so there is nothing to fall back to
+        this.worker.addEventListener('error', (e) => {
+            console.error('Scene worker error:', e.message);
+        });
+        
+        this.worker.addEventListener('message', ({ data }) => {
+            const request = data.type === 'reply' && this.requests.get(data.requestId);
+            if (!request) return;
+            
+            this.requests.delete(data.requestId);
+            if (data.error) {
+                request.reject(new Error(data.error));
+            } else {
+                request.resolve(data.result);
+            }
+        });
+    }
+
+    nextSceneId() {
+        this.lastSceneId += 1;
+        return this.lastSceneId;
+    }
+
+    post(message, transfer = []) {
+        this.worker.postMessage(message, transfer);
+    }
+
+    // Posts a message the worker answers with a 'reply'; resolves with its result
+    request(message) {
+        this.lastRequestId += 1;
+        const requestId = this.lastRequestId;
+        
+        return new Promise((resolve, reject) => {
+            this.requests.set(requestId, { resolve, reject });
+            this.post({ ...message, requestId });
+        });
+    }
+}
+
+let sceneWorkerHost;
+
+// One worker renders every offscreen scene; null when workers can't be created (e.g. file://)
+function getSceneWorkerHost() {
+    if (sceneWorkerHost === undefined) {
+        try {
+            sceneWorkerHost = new SceneWorkerHost(CONFIG.performance.workerURL);
+        } catch (error) {
+            console.warn('Offscreen rendering unavailable, using the main thread:', error);
+            sceneWorkerHost = null;
+        }
+    }
+    
+    return sceneWorkerHost;
+}
+
+// Uniform grid for fixed-radius neighbour queries
+class SpatialGrid {
+    constructor(cellSize = 100, width = 0, height = 0) {
+        this.resize(cellSize, width, height);
+    }
+
+    // Neighbour queries only look one cell out, so cellSize must be at least the query radius
+    resize(cellSize, width, height) {
+        this.cellSize = Math.max(1, cellSize);
+        this.width = width;
+        this.height = height;
+        this.cols = Math.max(1, Math.ceil(width / this.cellSize));
+        this.rows = Math.max(1, Math.ceil(height / this.cellSize));
+        this.cells = Array.from({ length: this.cols * this.rows }, () => []);
+    }
+
+    matches(cellSize, width, height) {
+        return this.cellSize === cellSize && this.width === width && this.height === height;
+    }
+
+    clear() {
+        this.cells.forEach(cell => {
+            cell.length = 0;
+        });
+    }
+
+    getCoordinates(x, y) {
+        return {
+            col: Utils.clamp(Math.floor(x / this.cellSize), 0, this.cols - 1),
+            row: Utils.clamp(Math.floor(y / this.cellSize), 0, this.rows - 1)
+        };
+    }
+
+    insert(item) {
+        const { col, row } = this.getCoordinates(item.x, item.y);
+        this.cells[row * this.cols + col].push(item);
+    }
+
+    // Visits every item in the 3x3 block of cells around (x, y)
+    forEachNeighbor(x, y, callback) {
+        const { col, row } = this.getCoordinates(x, y);
+        const maxRow = Math.min(this.rows - 1, row + 1);
+        const maxCol = Math.min(this.cols - 1, col + 1);
+        
+        for (let r = Math.max(0, row - 1); r <= maxRow; r++) {
+            for (let c = Math.max(0, col - 1); c <= maxCol; c++) {
+                const cell = this.cells[r * this.cols + c];
+                for (let i = 0; i < cell.length; i++) {
+                    callback(cell[i]);
+                }
+            }
+        }
+    }
+}
+
+// Connection opacity is quantised into this many steps for batched drawing
+const CONNECTION_OPACITY_STEPS = 8;
+
+// WebGL depth range (px) that hero particle z (0-100) is spread across
+const HERO_DEPTH_RANGE = 300;
+
+// Enhanced Hero scene with advanced particle system
+class HeroScene extends Scene3D {
+    constructor(canvas, options = {}) {
+        super(canvas, { particleCount: appState.scaleCount(CONFIG.particles.count), ...options });
+        this.particles = [];
+        this.shapes = [];
+        this.grid = new SpatialGrid();
+        // The first getActiveCount() particles; the rest sit idle at lower quality
+        this.activeParticles = [];
+        // Connection segments (x1, y1, z1, x2, y2, z2) grouped by opacity so each group is drawn with one stroke()
+        this.connectionBuckets = Array.from({ length: CONNECTION_OPACITY_STEPS }, () => []);
+        // Device tilt parallax in px at full depth, eased towards the sensor reading
+        this.tiltOffset = { x: 0, y: 0 };
+        
+        // A worker scene's particles live in the worker; this one only forwards messages
+        if (!this.worker) {
+            this.initializeElements();
+        }
+    }
+
+    initializeElements() {
+        const rect = { width: this.width || 800, height: this.height || 600 };
+        
+        // Create enhanced particles
+        for (let i = 0; i < this.options.particleCount; i++) {
+            this.particles.push({
+                index: i,
+                x: this.random() * rect.width,
+                y: this.random() * rect.height,
+                z: this.random() * 100,
+                size: CONFIG.particles.size * (this.random() * 1.5 + 0.5),
+                speed: CONFIG.particles.speed * (this.random() + 0.2),
+                angle: this.random() * Math.PI * 2,
+                opacity: CONFIG.particles.opacity * (this.random() * 0.7 + 0.4),
+                pulsePhase: this.random() * Math.PI * 2
+            });
+        }
+        
+        // Create geometric shapes
+        for (let i = 0; i < 8; i++) {
+            this.shapes.push({
+                x: this.random() * rect.width,
+                y: this.random() * rect.height,
+                size: this.random() * 60 + 30,
+                rotation: this.random() * Math.PI * 2,
+                rotationSpeed: (this.random() - 0.5) * 0.02,
+                type: Math.floor(this.random() * 4),
+                pulse: this.random() * Math.PI * 2,
+                opacity: this.random() * 0.4 + 0.3
+            });
+        }
+    }
+
+    update(delta) {
+        if (!this.canvas) return;
+        
+        const step = delta * BASE_FRAME_RATE;
+        const rect = { width: this.width, height: this.height };
+        const pointers = this.getPointers();
+        const radius = CONFIG.interaction.repelRadius;
+        this.activeParticles = this.particles.slice(0, this.getActiveCount(this.particles.length));
+        
+        // Every pointer pushes nearby particles away, so multi-touch gives several repulsion points
+        this.activeParticles.forEach(particle => {
+            pointers.forEach(pointer => {
+                const pointerDistance = Math.sqrt(
+                    Math.pow(pointer.x - particle.x, 2) + 
+                    Math.pow(pointer.y - particle.y, 2)
+                );
+                
+                if (pointerDistance < radius) {
+                    const pointerForce = (radius - pointerDistance) / radius;
+                    const angle = Math.atan2(particle.y - pointer.y, particle.x - pointer.x);
+                    particle.x += Math.cos(angle) * pointerForce * 2 * step;
+                    particle.y += Math.sin(angle) * pointerForce * 2 * step;
+                }
+            });
+            
+            particle.x += Math.cos(particle.angle) * particle.speed * step;
+            particle.y += Math.sin(particle.angle) * particle.speed * step;
+            particle.pulsePhase += 0.05 * step;
+            
+            if (particle.x < 0 || particle.x > rect.width) particle.angle = Math.PI - particle.angle;
+            if (particle.y < 0 || particle.y > rect.height) particle.angle = -particle.angle;
+            
+            particle.x = Math.max(0, Math.min(rect.width, particle.x));
+            particle.y = Math.max(0, Math.min(rect.height, particle.y));
+        });
+        
+        this.connectionBuckets.forEach(bucket => {
+            bucket.length = 0;
+        });
+        
+        if (CONFIG.particles.connections) {
+            this.updateConnections(rect);
+        }
+        
+        // Update shapes
+        this.shapes.forEach(shape => {
+            shape.rotation += shape.rotationSpeed * step;
+            shape.pulse += 0.03 * step;
+        });
+        
+        const tilt = this.getTilt();
+        const ease = 1 - Math.exp(-delta * 5);
+        this.tiltOffset.x = Utils.lerp(this.tiltOffset.x, tilt.x * CONFIG.interaction.tiltRange, ease);
+        this.tiltOffset.y = Utils.lerp(this.tiltOffset.y, tilt.y * CONFIG.interaction.tiltRange, ease);
+    }
+
+    // Tilt parallax: nearer particles (higher z) shift further; shapes sit halfway
+    shiftX(x, z = 50) {
+        return x + this.tiltOffset.x * z / 100;
+    }
+
+    shiftY(y, z = 50) {
+        return y + this.tiltOffset.y * z / 100;
+    }
+
+    getParticleCount() {
+        return this.activeParticles.length;
+    }
+
+    updateConnections(rect) {
+        // Shorter links at lower quality; fewer pairs fall within range
+        const distance = CONFIG.particles.connectionDistance * (0.5 + this.quality * 0.5);
+        const maxDistanceSq = distance * distance;
+        const steps = CONNECTION_OPACITY_STEPS;
+        
+        if (!this.grid.matches(distance, rect.width, rect.height)) {
+            this.grid.resize(distance, rect.width, rect.height);
+        }
+        
+        this.grid.clear();
+        this.activeParticles.forEach(particle => this.grid.insert(particle));
+        
+        this.activeParticles.forEach(particle => {
+            this.grid.forEachNeighbor(particle.x, particle.y, other => {
+                // Each pair is visited from both ends; keep one
+                if (other.index <= particle.index) return;
+                
+                const dx = particle.x - other.x;
+                const dy = particle.y - other.y;
+                const distanceSq = dx * dx + dy * dy;
+                if (distanceSq >= maxDistanceSq) return;
+                
+                const opacity = 1 - Math.sqrt(distanceSq) / distance;
+                const bucket = Math.min(steps - 1, Math.floor(opacity * steps));
+                this.connectionBuckets[bucket].push(particle.x, particle.y, particle.z, other.x, other.y, other.z);
+            });
+        });
+    }
+
+    render() {
+        if (!this.ctx) return;
+        
+        this.ctx.clearRect(0, 0, this.width, this.height);
+        
+        // Render connections
+        this.ctx.save();
+        this.ctx.strokeStyle = this.color('primary');
+        this.ctx.lineWidth = this.lineWidth(1);
+        this.connectionBuckets.forEach((segments, bucket) => {
+            if (!segments.length) return;
+            
+            this.ctx.globalAlpha = ((bucket + 0.5) / CONNECTION_OPACITY_STEPS) * 0.3;
+            this.ctx.beginPath();
+            for (let i = 0; i < segments.length; i += 6) {
+                this.ctx.moveTo(this.shiftX(segments[i], segments[i + 2]), this.shiftY(segments[i + 1], segments[i + 2]));
+                this.ctx.lineTo(this.shiftX(segments[i + 3], segments[i + 5]), this.shiftY(segments[i + 4], segments[i + 5]));
+            }
+            this.ctx.stroke();
+        });
+        this.ctx.restore();
+        
+        // Render particles
+        this.activeParticles.forEach(particle => {
+            this.ctx.save();
+            const pulse = Math.sin(particle.pulsePhase) * 0.3 + 0.7;
+            this.ctx.globalAlpha = particle.opacity * pulse;
+            this.ctx.fillStyle = this.color('primary');
+            this.ctx.shadowColor = this.color('primary');
+            this.ctx.shadowBlur = this.glow(8);
+            
+            this.ctx.beginPath();
+            this.ctx.arc(this.shiftX(particle.x, particle.z), this.shiftY(particle.y, particle.z), particle.size * pulse, 0, Math.PI * 2);
+            this.ctx.fill();
+            this.ctx.restore();
+        });
+        
+        // Render shapes
+        this.shapes.forEach(shape => {
+            this.ctx.save();
+            this.ctx.translate(this.shiftX(shape.x), this.shiftY(shape.y));
+            this.ctx.rotate(shape.rotation);
+            
+            const pulse = Math.sin(shape.pulse) * 0.2 + 0.8;
+            this.ctx.globalAlpha = shape.opacity * pulse;
+            this.ctx.strokeStyle = this.color('secondary');
+            this.ctx.lineWidth = this.lineWidth(2);
+            this.ctx.shadowColor = this.color('secondary');
+            this.ctx.shadowBlur = this.glow(15);
+            
+            const size = shape.size * pulse;
+            
+            switch (shape.type) {
+                case 0: // cube
+                    this.ctx.strokeRect(-size/2, -size/2, size, size);
+                    break;
+                case 1: // circle
+                    this.ctx.beginPath();
+                    this.ctx.arc(0, 0, size/2, 0, Math.PI * 2);
+                    this.ctx.stroke();
+                    break;
+                case 2: // triangle
+                    this.ctx.beginPath();
+                    this.ctx.moveTo(0, -size/2);
+                    this.ctx.lineTo(-size/2, size/2);
+                    this.ctx.lineTo(size/2, size/2);
+                    this.ctx.closePath();
+                    this.ctx.stroke();
+                    break;
+                case 3: // diamond
+                    this.ctx.beginPath();
+                    this.ctx.moveTo(0, -size/2);
+                    this.ctx.lineTo(size/2, 0);
+                    this.ctx.lineTo(0, size/2);
+                    this.ctx.lineTo(-size/2, 0);
+                    this.ctx.closePath();
+                    this.ctx.stroke();
+                    break;
+            }
+            
+            this.ctx.restore();
+        });
+    }
+
+    getDepth(z) {
+        return (z / 100 - 0.5) * HERO_DEPTH_RANGE;
+    }
+
+    renderGL() {
+        const renderer = this.renderer;
+        const primary = this.colorVector('primary');
+        const secondary = this.colorVector('secondary');
+        
+        renderer.begin(this.width, this.height, this.glOptions());
+        
+        this.connectionBuckets.forEach((segments, bucket) => {
+            const alpha = ((bucket + 0.5) / CONNECTION_OPACITY_STEPS) * 0.3;
+            for (let i = 0; i < segments.length; i += 6) {
+                renderer.line(
+                    this.shiftX(segments[i], segments[i + 2]), this.shiftY(segments[i + 1], segments[i + 2]), this.getDepth(segments[i + 2]),
+                    this.shiftX(segments[i + 3], segments[i + 5]), this.shiftY(segments[i + 4], segments[i + 5]), this.getDepth(segments[i + 5]),
+                    primary, alpha
+                );
+            }
+        });
+        
+        this.activeParticles.forEach(particle => {
+            const pulse = Math.sin(particle.pulsePhase) * 0.3 + 0.7;
+            renderer.point(this.shiftX(particle.x, particle.z), this.shiftY(particle.y, particle.z), this.getDepth(particle.z), particle.size * pulse, primary, particle.opacity * pulse);
+        });
+        
+        // Shapes become real solids turning on all three axes
+        this.shapes.forEach(shape => {
+            const pulse = Math.sin(shape.pulse) * 0.2 + 0.8;
+            const size = shape.size * pulse;
+            const alpha = shape.opacity * pulse;
+            const rotation = { x: shape.rotation * 0.6, y: shape.rotation * 0.8, z: shape.rotation };
+            const x = this.shiftX(shape.x);
+            const y = this.shiftY(shape.y);
+            
+            switch (shape.type) {
+                case 0:
+                    this.strokeWireframe(WIREFRAMES.cube, x, y, 0, size, rotation, secondary, alpha);
+                    break;
+                case 1:
+                    this.strokeRing(x, y, 0, size / 2, rotation, secondary, alpha);
+                    break;
+                case 2:
+                    this.strokeWireframe(WIREFRAMES.tetrahedron, x, y, 0, size, rotation, secondary, alpha);
+                    break;
+                case 3:
+                    this.strokeWireframe(WIREFRAMES.octahedron, x, y, 0, size, rotation, secondary, alpha);
+                    break;
+            }
+        });
+        
+        renderer.end();
+    }
+}
+
+// Layer sizes for neural scenes; set per canvas with data-layers="4,6,3"
+const NEURAL_LAYERS = [6, 8, 6, 4];
+
+// Layers per second a forward pass travels through a neural scene
+const NEURAL_PULSE_SPEED = 2.5;
+
+// Seconds between forward passes on random inputs when nobody is clicking
+const NEURAL_PULSE_INTERVAL = 4;
+
+// Small feed-forward network behind the neural scenes, with tanh activations
+class NeuralNetwork {
+    // `random` is the owning scene's stream
+    constructor(layers, random = Utils.getRandom()) {
+        this.layers = layers;
+        // weights[l][j][i] connects node i of layer l to node j of layer l + 1;
+        // Glorot-uniform so activations neither saturate nor die out a few layers in
+        this.weights = layers.slice(1).map((size, l) => {
+            const limit = Math.sqrt(6 / (layers[l] + size));
+            return Array.from({ length: size }, () => (
+                Array.from({ length: layers[l] }, () => Utils.random(-limit, limit, random))
+            ));
+        });
+        this.biases = layers.slice(1).map(size => Array.from({ length: size }, () => Utils.random(-0.2, 0.2, random)));
+    }
+
+    // Activations of every layer, input included, each between -1 and 1
+    forward(input) {
+        const activations = [input];
+        
+        this.weights.forEach((layerWeights, l) => {
+            const previous = activations[l];
+            activations.push(layerWeights.map((nodeWeights, j) => {
+                const sum = nodeWeights.reduce((total, weight, i) => total + weight * previous[i], this.biases[l][j]);
+                return Math.tanh(sum);
+            }));
+        });
+        
+        return activations;
+    }
+}
+
+// Advanced canvas scene for various effects
+class CanvasScene extends Scene3D {
+    // Accepts a type name or a full options object (used for priorities and by scene-worker.js)
+    constructor(canvas, type = 'default') {
+        super(canvas, typeof type === 'string' ? { type } : type);
+        this.elements = [];
+        
+        // A worker scene's elements live in the worker; this one only forwards messages
+        if (this.worker) return;
+        
+        this.initElements();
+        
+        if (this.options.type === 'neural') {
+            this.initNetwork();
+        }
+    }
+
+    initElements() {
+        const elementCount = appState.scaleCount(CONFIG.particles.sceneElements);
+        
+        for (let i = 0; i < elementCount; i++) {
+            this.elements.push({
+                x: this.random() * 200 - 100,
+                y: this.random() * 200 - 100,
+                size: this.random() * 20 + 5,
+                angle: this.random() * Math.PI * 2,
+                speed: this.random() * 0.02 + 0.01,
+                opacity: this.random() * 0.5 + 0.3,
+                type: Math.floor(this.random() * 3)
+            });
+        }
+    }
+
+    initNetwork() {
+        this.network = new NeuralNetwork(this.parseLayers(this.options.layers), this.random);
+        // Activations on show; a pulse overwrites each layer as it arrives, then they fade back to rest
+        this.neuralValues = this.network.layers.map(size => new Array(size).fill(0));
+        this.pulse = null;
+        this.nextPulse = 0.5;
+        // Node under a pointer, whose weights are highlighted
+        this.hoverNode = null;
+    }
+
+    // An array, or "4,6,3" from a data-layers attribute
+    parseLayers(layers) {
+        const sizes = (Array.isArray(layers) ? layers : String(layers ?? '').split(','))
+            .map(size => Math.round(Number(size)))
+            .filter(size => size >= 1);
+        
+        return sizes.length >= 2 ? sizes.map(size => Math.min(size, 16)) : NEURAL_LAYERS;
+    }
+
+    getParticleCount() {
+        return this.options.type === 'particle' ? this.getActiveCount(this.elements.length) : 0;
+    }
+
+    getDrawers() {
+        return CANVAS_SCENE_DRAWERS[this.options.type] || CANVAS_SCENE_DRAWERS.default;
+    }
+
+    update(delta) {
+        if (this.options.type === 'neural') {
+            this.updateNetwork(delta);
+            return;
+        }
+        
+        if (this.options.type !== 'particle') return;
+        
+        this.elements.slice(0, this.getActiveCount(this.elements.length)).forEach(element => {
+            element.angle += element.speed * delta * BASE_FRAME_RATE;
+        });
+    }
+
+    updateNetwork(delta) {
+        this.hoverNode = this.findNeuralNode(this.getPointers());
+        
+        if (!this.pulse) {
+            const decay = Math.exp(-delta * 1.5);
+            this.neuralValues = this.neuralValues.map(values => values.map(value => value * decay));
+            
+            if (this.time >= this.nextPulse) {
+                this.firePulse(Array.from({ length: this.network.layers[0] }, () => Utils.random(-1, 1, this.random)));
+            }
+            return;
+        }
+        
+        this.pulse.progress += delta * NEURAL_PULSE_SPEED;
+        this.pulse.activations.forEach((values, layer) => {
+            if (this.pulse.progress >= layer) {
+                this.neuralValues[layer] = values;
+            }
+        });
+        
+        // Hold the output for a moment before fading
+        if (this.pulse.progress >= this.network.layers.length + 1) {
+            this.pulse = null;
+            this.nextPulse = this.time + NEURAL_PULSE_INTERVAL;
+        }
+    }
+
+    firePulse(input) {
+        this.pulse = { activations: this.network.forward(input), progress: 0 };
+    }
+
+    acceptsPress() {
+        return this.options.type === 'neural';
+    }
+
+    // Clicking an input node runs a forward pass with just that input switched on
+    press(point) {
+        if (this.options.type !== 'neural') return;
+        
+        const node = this.findNeuralNode([point]);
+        if (!node || node.layer !== 0) return;
+        
+        this.firePulse(Array.from({ length: this.network.layers[0] }, (_, i) => (i === node.index ? 1 : 0)));
+        
+        // Stopped and reduced-motion scenes show the result without the travelling pulse
+        if (!this.isRunning) {
+            this.neuralValues = this.pulse.activations;
+            this.pulse = null;
+            this.draw();
+        }
+    }
+
+    render() {
+        if (!this.ctx) return;
+        
+        const centerX = this.width / 2;
+        const centerY = this.height / 2;
+        
+        this.ctx.clearRect(0, 0, this.width, this.height);
+        this.ctx.save();
+        this.ctx.translate(centerX, centerY);
+        
+        this[this.getDrawers().render]();
+        
+        this.ctx.restore();
+    }
+
+    renderHologram() {
+        this.ctx.strokeStyle = this.color('primary');
+        this.ctx.lineWidth = this.lineWidth(2);
+        this.ctx.shadowColor = this.color('primary');
+        this.ctx.shadowBlur = this.glow(15);
+        
+        for (let i = 0; i < 3; i++) {
+            this.ctx.save();
+            this.ctx.rotate(this.time + i * Math.PI / 3);
+            this.ctx.globalAlpha = 0.8 - i * 0.2;
+            
+            const size = 40 + i * 20;
+            this.ctx.strokeRect(-size, -size, size * 2, size * 2);
+            
+            // Add inner details
+            this.ctx.strokeRect(-size * 0.6, -size * 0.6, size * 1.2, size * 1.2);
+            
+            this.ctx.restore();
+        }
+        
+        // Add scanning lines
+        this.ctx.save();
+        this.ctx.globalAlpha = 0.3;
+        this.ctx.strokeStyle = this.color('accent');
+        this.ctx.lineWidth = this.lineWidth(1);
+        
+        for (let i = 0; i < 8; i++) {
+            const y = -60 + (i * 15) + (this.time * 20) % 120;
+            this.ctx.beginPath();
+            this.ctx.moveTo(-60, y);
+            this.ctx.lineTo(60, y);
+            this.ctx.stroke();
+        }
+        this.ctx.restore();
+    }
+
+    renderNetwork() {
+        const nodes = 12;
+        const radius = 80;
+        
+        this.ctx.strokeStyle = this.color('primary');
+        this.ctx.fillStyle = this.color('primary');
+        this.ctx.lineWidth = this.lineWidth(1);
+        this.ctx.shadowColor = this.color('primary');
+        this.ctx.shadowBlur = this.glow(8);
+        
+        const positions = this.getNetworkNodes(nodes, radius);
+        
+        // Draw nodes
+        positions.forEach(({ x, y }, i) => {
+            const pulse = Math.sin(this.time * 2 + i) * 0.5 + 1;
+            this.ctx.save();
+            this.ctx.globalAlpha = 0.8;
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, 4 * pulse, 0, Math.PI * 2);
+            this.ctx.fill();
+            this.ctx.restore();
+        });
+        
+        // Draw connections
+        this.ctx.globalAlpha = 0.4;
+        positions.forEach((pos1, i) => {
+            positions.forEach((pos2, j) => {
+                if (i !== j) {
+                    const distance = Math.sqrt(Math.pow(pos1.x - pos2.x, 2) + Math.pow(pos1.y - pos2.y, 2));
+                    if (distance < radius * 1.2) {
+                        this.ctx.beginPath();
+                        this.ctx.moveTo(pos1.x, pos1.y);
+                        this.ctx.lineTo(pos2.x, pos2.y);
+                        this.ctx.stroke();
+                    }
+                }
+            });
+        });
+        
+        // Add central core
+        this.ctx.save();
+        this.ctx.globalAlpha = 0.6;
+        this.ctx.fillStyle = this.color('accent');
+        this.ctx.shadowColor = this.color('accent');
+        this.ctx.shadowBlur = this.glow(20);
+        const coreSize = 8 + Math.sin(this.time * 3) * 3;
+        this.ctx.beginPath();
+        this.ctx.arc(0, 0, coreSize, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.ctx.restore();
+    }
+
+    renderParticleSystem() {
+        this.elements.slice(0, this.getActiveCount(this.elements.length)).forEach((element, i) => {
+            const distance = 40 + Math.sin(this.time * 2 + i) * 25;
+            const x = Math.cos(element.angle) * distance;
+            const y = Math.sin(element.angle) * distance;
+            const size = element.size * (0.8 + Math.sin(this.time * 3 + i) * 0.4);
+            
+            this.ctx.save();
+            this.ctx.globalAlpha = element.opacity;
+            this.ctx.fillStyle = this.color('primary');
+            this.ctx.shadowColor = this.color('primary');
+            this.ctx.shadowBlur = this.glow(10);
+            
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, size * 0.3, 0, Math.PI * 2);
+            this.ctx.fill();
+            this.ctx.restore();
+        });
+        
+        // Add energy waves
+        this.ctx.save();
+        this.ctx.globalAlpha = 0.3;
+        this.ctx.strokeStyle = this.color('secondary');
+        this.ctx.lineWidth = this.lineWidth(2);
+        
+        for (let i = 0; i < 3; i++) {
+            const radius = 30 + i * 20 + (this.time * 30) % 60;
+            this.ctx.beginPath();
+            this.ctx.arc(0, 0, radius, 0, Math.PI * 2);
+            this.ctx.stroke();
+        }
+        this.ctx.restore();
+    }
+
+    renderNeuralNetwork() {
+        const allNodes = this.getNeuralNodes();
+        const radius = this.getNeuralNodeRadius(allNodes);
+        
+        // Connections: colour follows the weight's sign, opacity its size
+        this.forEachNeuralEdge(allNodes, (from, to, weight) => {
+            const isHighlighted = this.isNeuralEdgeHighlighted(from, to);
+            this.ctx.globalAlpha = isHighlighted ? 0.3 + Math.abs(weight) * 0.6 : 0.05 + Math.abs(weight) * 0.2;
+            this.ctx.strokeStyle = this.color(weight >= 0 ? 'secondary' : 'accent');
+            this.ctx.lineWidth = this.lineWidth(isHighlighted ? 2 : 1);
+            this.ctx.beginPath();
+            this.ctx.moveTo(from.x, from.y);
+            this.ctx.lineTo(to.x, to.y);
+            this.ctx.stroke();
+        });
+        
+        // Signals travelling along the edges of the layer the pulse is crossing
+        this.ctx.fillStyle = this.color('accent');
+        this.ctx.shadowColor = this.color('accent');
+        this.ctx.shadowBlur = this.glow(8);
+        this.getNeuralSignals(allNodes).forEach(({ x, y, strength }) => {
+            this.ctx.globalAlpha = strength;
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, radius * 0.5, 0, Math.PI * 2);
+            this.ctx.fill();
+        });
+        
+        // Nodes: brightness shows the activation, accent marks negative values
+        this.ctx.shadowBlur = this.glow(5);
+        allNodes.flat().forEach(node => {
+            const name = node.activation >= 0 ? 'primary' : 'accent';
+            this.ctx.globalAlpha = 0.3 + Math.abs(node.activation) * 0.7;
+            this.ctx.fillStyle = this.color(name);
+            this.ctx.shadowColor = this.color(name);
+            this.ctx.beginPath();
+            this.ctx.arc(node.x, node.y, radius, 0, Math.PI * 2);
+            this.ctx.fill();
+            
+            if (this.isNeuralNodeHovered(node)) {
+                this.ctx.globalAlpha = 0.9;
+                this.ctx.strokeStyle = this.color('primary');
+                this.ctx.lineWidth = this.lineWidth(1.5);
+                this.ctx.beginPath();
+                this.ctx.arc(node.x, node.y, radius * 1.8, 0, Math.PI * 2);
+                this.ctx.stroke();
+            }
+        });
+    }
+
+    // Node positions around the network ring, relative to the scene centre
+    getNetworkNodes(count, radius) {
+        return Array.from({ length: count }, (_, i) => {
+            const angle = (i / count) * Math.PI * 2 + this.time * 0.5;
+            return { x: Math.cos(angle) * radius, y: Math.sin(angle) * radius };
+        });
+    }
+
+    // Node positions and activations per layer, relative to the scene centre and fitted to the canvas.
+    // WebGL swings the network around its vertical axis; z is 0 otherwise.
+    getNeuralNodes() {
+        const layers = this.network.layers;
+        const layerSpacing = Math.max(0, Math.min(120, (this.width - 40) / Math.max(1, layers.length - 1)));
+        const nodeSpacing = Math.max(0, Math.min(30, (this.height - 30) / Math.max(1, Math.max(...layers) - 1)));
+        const rotation = this.isWebGL ? { x: 0, y: Math.sin(this.time * 0.4) * 0.5, z: 0 } : null;
+        
+        return layers.map((nodeCount, layerIndex) => {
+            const startY = -(nodeCount - 1) * nodeSpacing / 2;
+            const x = -layerSpacing * (layers.length - 1) / 2 + layerIndex * layerSpacing;
+            
+            return Array.from({ length: nodeCount }, (_, i) => {
+                const y = startY + i * nodeSpacing;
+                return {
+                    ...(rotation ? Utils.rotate3D(x, y, 0, rotation) : { x, y, z: 0 }),
+                    layer: layerIndex,
+                    index: i,
+                    activation: this.neuralValues[layerIndex][i]
+                };
+            });
+        });
+    }
+
+    // Small canvases pack nodes tighter, so they shrink to fit
+    getNeuralNodeRadius(allNodes) {
+        const spacing = allNodes.reduce((gap, layer) => (
+            layer.length > 1 ? Math.min(gap, Math.abs(layer[1].y - layer[0].y)) : gap
+        ), Infinity);
+        return Math.max(2, Math.min(6, spacing * 0.35));
+    }
+
+    forEachNeuralEdge(allNodes, callback) {
+        for (let l = 0; l < allNodes.length - 1; l++) {
+            allNodes[l].forEach((from, i) => {
+                allNodes[l + 1].forEach((to, j) => callback(from, to, this.network.weights[l][j][i]));
+            });
+        }
+    }
+
+    // Points part-way along each edge the pulse is crossing; strength is how much that input contributes
+    getNeuralSignals(allNodes) {
+        if (!this.pulse) return [];
+        
+        const layer = Math.floor(this.pulse.progress);
+        const t = this.pulse.progress - layer;
+        if (layer >= allNodes.length - 1) return [];
+        
+        const signals = [];
+        allNodes[layer].forEach((from, i) => {
+            allNodes[layer + 1].forEach((to, j) => {
+                const strength = Math.min(1, Math.abs(this.network.weights[layer][j][i] * this.pulse.activations[layer][i]));
+                if (strength < 0.05) return;
+                
+                signals.push({
+                    x: Utils.lerp(from.x, to.x, t),
+                    y: Utils.lerp(from.y, to.y, t),
+                    z: Utils.lerp(from.z, to.z, t),
+                    strength
+                });
+            });
+        });
+        return signals;
+    }
+
+    // `points` are in canvas coordinates; WebGL nodes are matched where the perspective projection draws them
+    findNeuralNode(points) {
+        if (!points.length || !this.width) return null;
+        
+        const allNodes = this.getNeuralNodes();
+        const hitRadius = Math.max(8, this.getNeuralNodeRadius(allNodes) * 2);
+        const focal = this.renderer?.focal;
+        
+        for (const node of allNodes.flat()) {
+            const scale = focal ? focal / (focal + node.z) : 1;
+            const x = this.width / 2 + node.x * scale;
+            const y = this.height / 2 + node.y * scale;
+            
+            if (points.some(point => Math.pow(point.x - x, 2) + Math.pow(point.y - y, 2) <= hitRadius * hitRadius)) {
+                return node;
+            }
+        }
+        return null;
+    }
+
+    isNeuralNodeHovered(node) {
+        return !!this.hoverNode && this.hoverNode.layer === node.layer && this.hoverNode.index === node.index;
+    }
+
+    // Weights into and out of the hovered node
+    isNeuralEdgeHighlighted(from, to) {
+        return this.isNeuralNodeHovered(from) || this.isNeuralNodeHovered(to);
+    }
+
+    renderGL() {
+        const x = this.width / 2;
+        const y = this.height / 2;
+        
+        this.renderer.begin(this.width, this.height, this.glOptions());
+        this[this.getDrawers().renderGL](x, y);
+        this.renderer.end();
+    }
+
+    renderHologramGL(x, y) {
+        const primary = this.colorVector('primary');
+        
+        for (let i = 0; i < 3; i++) {
+            const angle = this.time + i * Math.PI / 3;
+            const rotation = { x: angle * 0.5, y: angle * 0.7, z: angle };
+            const size = 40 + i * 20;
+            const alpha = 0.8 - i * 0.2;
+            
+            this.strokeWireframe(WIREFRAMES.cube, x, y, 0, size * 2, rotation, primary, alpha);
+            // Inner details
+            this.strokeWireframe(WIREFRAMES.cube, x, y, 0, size * 1.2, rotation, primary, alpha);
+        }
+        
+        // Scanning lines
+        const accent = this.colorVector('accent');
+        for (let i = 0; i < 8; i++) {
+            const lineY = y - 60 + (i * 15) + (this.time * 20) % 120;
+            this.renderer.line(x - 60, lineY, 0, x + 60, lineY, 0, accent, 0.3);
+        }
+    }
+
+    renderNetworkGL(x, y) {
+        const radius = 80;
+        const primary = this.colorVector('primary');
+        // Tilt the ring so it reads as a disc seen in perspective
+        const tilt = { x: 1 + Math.sin(this.time * 0.5) * 0.2, y: 0, z: 0 };
+        const positions = this.getNetworkNodes(12, radius).map(node => Utils.rotate3D(node.x, node.y, 0, tilt));
+        
+        positions.forEach((node, i) => {
+            const pulse = Math.sin(this.time * 2 + i) * 0.5 + 1;
+            this.renderer.point(x + node.x, y + node.y, node.z, 4 * pulse, primary, 0.8);
+        });
+        
+        // Each pair once; the 2D path strokes both directions, hence the higher alpha
+        positions.forEach((a, i) => {
+            positions.slice(i + 1).forEach(b => {
+                const distance = Math.sqrt(Math.pow(a.x - b.x, 2) + Math.pow(a.y - b.y, 2) + Math.pow(a.z - b.z, 2));
+                if (distance < radius * 1.2) {
+                    this.renderer.line(x + a.x, y + a.y, a.z, x + b.x, y + b.y, b.z, primary, 0.6);
+                }
+            });
+        });
+        
+        // Central core
+        const coreSize = 8 + Math.sin(this.time * 3) * 3;
+        this.renderer.point(x, y, 0, coreSize, this.colorVector('accent'), 0.6);
+    }
+
+    renderParticleSystemGL(x, y) {
+        const primary = this.colorVector('primary');
+        
+        this.elements.slice(0, this.getActiveCount(this.elements.length)).forEach((element, i) => {
+            const distance = 40 + Math.sin(this.time * 2 + i) * 25;
+            const size = element.size * (0.8 + Math.sin(this.time * 3 + i) * 0.4);
+            // Orbits swing towards and away from the viewer
+            const depth = Math.sin(element.angle + i) * distance;
+            
+            this.renderer.point(
+                x + Math.cos(element.angle) * distance,
+                y + Math.sin(element.angle) * distance,
+                depth,
+                size * 0.3,
+                primary,
+                element.opacity
+            );
+        });
+        
+        // Energy waves
+        const secondary = this.colorVector('secondary');
+        for (let i = 0; i < 3; i++) {
+            const radius = 30 + i * 20 + (this.time * 30) % 60;
+            this.strokeRing(x, y, 0, radius, { x: 0.5, y: 0, z: 0 }, secondary, 0.3);
+        }
+    }
+
+    renderNeuralNetworkGL(x, y) {
+        const primary = this.colorVector('primary');
+        const secondary = this.colorVector('secondary');
+        const accent = this.colorVector('accent');
+        const allNodes = this.getNeuralNodes();
+        const radius = this.getNeuralNodeRadius(allNodes);
+        
+        this.forEachNeuralEdge(allNodes, (a, b, weight) => {
+            const alpha = this.isNeuralEdgeHighlighted(a, b) ? 0.3 + Math.abs(weight) * 0.6 : 0.05 + Math.abs(weight) * 0.2;
+            this.renderer.line(x + a.x, y + a.y, a.z, x + b.x, y + b.y, b.z, weight >= 0 ? secondary : accent, alpha);
+        });
+        
+        this.getNeuralSignals(allNodes).forEach(signal => {
+            this.renderer.point(x + signal.x, y + signal.y, signal.z, radius * 0.5, accent, signal.strength);
+        });
+        
+        allNodes.flat().forEach(node => {
+            const color = node.activation >= 0 ? primary : accent;
+            this.renderer.point(x + node.x, y + node.y, node.z, radius, color, 0.3 + Math.abs(node.activation) * 0.7);
+            
+            if (this.isNeuralNodeHovered(node)) {
+                this.strokeRing(x + node.x, y + node.y, node.z, radius * 1.8, { x: 0, y: 0, z: 0 }, primary, 0.9, 24);
+            }
+        });
+    }
+}
+
+// Canvas2D and WebGL drawing methods for each CanvasScene type
+const CANVAS_SCENE_DRAWERS = {
+    hologram: { render: 'renderHologram', renderGL: 'renderHologramGL' },
+    network: { render: 'renderNetwork', renderGL: 'renderNetworkGL' },
+    particle: { render: 'renderParticleSystem', renderGL: 'renderParticleSystemGL' },
+    neural: { render: 'renderNeuralNetwork', renderGL: 'renderNeuralNetworkGL' },
+    default: { render: 'renderDefault', renderGL: 'renderDefaultGL' }
+};
+
+// Scene factories by name, used for <canvas data-scene="..."> - see registerSceneType
+const SCENE_TYPES = new Map();
+
+// `factory(canvas, options)` returns a started Scene3D, usually a subclass. Something else can
+// stand in only if it has the whole public API, since App, the HUD, the filter and the export
+// menu call it unchecked: start/stop/draw/tick, suspend/resume, setupCanvas, canRun, setQuality,
+// setStill, setOutOfView, setPaused, refreshStyle, exportImage, getMaxExportScale, recordVideo,
+// getParticleCount and dispose, plus the options, canvas, stats and is* state fields.
+function registerSceneType(name, factory) {
+    if (typeof factory !== 'function') {
+        throw new TypeError(`Scene type "${name}" needs a factory function`);
+    }
+    
+    SCENE_TYPES.set(name, factory);
+}
+
+// The scene gets the type as options.sceneType, which is how scene-worker.js rebuilds it
+function createScene(type, canvas, options = {}) {
+    const factory = SCENE_TYPES.get(type);
+    if (!factory) {
+        console.warn(`Unknown scene type "${type}"`, canvas);
+        return null;
+    }
+    
+    return factory(canvas, { ...options, sceneType: type });
+}
+
+registerSceneType('hero', (canvas, options) => new HeroScene(canvas, options));
+Object.keys(CANVAS_SCENE_DRAWERS).forEach(type => {
+    registerSceneType(type, (canvas, options) => new CanvasScene(canvas, { ...options, type }));
+});
+
+// Built-in factories by type; scene-worker.js imports app.js, so it has exactly these.
+// Looked up by name rather than class name, which minifiers rename.
+const OFFSCREEN_SCENE_TYPES = new Map(SCENE_TYPES);
+
+// Pointer positions (mouse, touch and pen) and device tilt for the scenes, independent of the custom cursor
+class PointerTracker {
+    constructor() {
+        // Active pointers by pointerId in client coordinates; touch and pen pointers leave when lifted
+        this.pointers = new Map();
+        // -1 to 1 on each axis; stays at 0 without an orientation sensor
+        this.tilt = { x: 0, y: 0 };
+        this.listeners = new Set();
+        this.pressListeners = new Set();
+        this.abortController = new AbortController();
+        
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        
+        if (CONFIG.interaction.tilt && 'DeviceOrientationEvent' in window) {
+            this.setupTilt();
+        }
+    }
+
+    setupEventListeners() {
+        const { signal } = this.abortController;
+        const onMove = (e) => this.update(e);
+        // Also used for leave and out, so a pen hovering off the page stops counting
+        const onEnd = (e) => {
+            // The mouse keeps repelling from where it was last seen, as before
+            if (e.pointerType !== 'mouse' && this.pointers.has(e.pointerId)) {
+                this.pointers.delete(e.pointerId);
+                this.notify();
+            }
+        };
+        
+        document.addEventListener('pointerdown', (e) => {
+            this.update(e);
+            this.pressListeners.forEach(listener => listener({ x: e.clientX, y: e.clientY }));
+        }, { passive: true, signal });
+        document.addEventListener('pointermove', onMove, { passive: true, signal });
+        document.addEventListener('pointerup', onEnd, { passive: true, signal });
+        // Fired when a touch turns into a scroll
+        document.addEventListener('pointercancel', onEnd, { passive: true, signal });
+        // Leave does not bubble, so it is caught on the root; out catches pens leaving the window
+        document.documentElement.addEventListener('pointerleave', onEnd, { passive: true, signal });
+        document.addEventListener('pointerout', (e) => {
+            if (!e.relatedTarget) onEnd(e);
+        }, { passive: true, signal });
+    }
+
+    // iOS only reports orientation after a permission prompt, so it waits for the visitor to ask via #tilt-toggle
+    setupTilt() {
+        const { signal } = this.abortController;
+        const listen = () => window.addEventListener('deviceorientation', (e) => this.updateTilt(e), { signal });
+        
+        if (typeof DeviceOrientationEvent.requestPermission !== 'function') {
+            listen();
+            return;
+        }
+        
+        const toggle = document.getElementById('tilt-toggle');
+        if (!toggle) return;
+        
+        toggle.hidden = false;
+        toggle.addEventListener('click', () => {
+            DeviceOrientationEvent.requestPermission()
+                .then(state => {
+                    if (state !== 'granted') return;
+                    
+                    listen();
+                    toggle.disabled = true;
+                    toggle.setAttribute('aria-pressed', 'true');
+                })
+                .catch(() => {});
+        }, { signal });
+        signal.addEventListener('abort', () => {
+            toggle.hidden = true;
+        });
+    }
+
+    update(e) {
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY, type: e.pointerType });
+        
+        if (e.isPrimary) {
+            appState.updateMousePosition(e.clientX, e.clientY);
+        }
+        
+        this.notify();
+    }
+
+    // gamma tilts left/right (-90 to 90); beta front/back, measured from a phone held about 45° back
+    updateTilt({ beta, gamma }) {
+        if (beta === null || gamma === null) return;
+        
+        this.tilt.x = Utils.clamp(gamma / 45, -1, 1);
+        this.tilt.y = Utils.clamp((beta - 45) / 45, -1, 1);
+        this.notify();
+    }
+
+    getPointers() {
+        return [...this.pointers.values()];
+    }
+
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    // Called with client coordinates whenever a pointer goes down, wherever it lands
+    onPress(listener) {
+        this.pressListeners.add(listener);
+        return () => this.pressListeners.delete(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener());
+    }
+
+    dispose() {
+        this.abortController.abort();
+        this.listeners.clear();
+        this.pressListeners.clear();
+    }
+}
+
+let pointerTracker = null;
+
+// Cursor effect manager
+class CursorManager {
+    constructor() {
+        this.cursor = document.getElementById('cursor');
+        this.cursorInner = this.cursor?.querySelector('.cursor-inner');
+        this.cursorOuter = this.cursor?.querySelector('.cursor-outer');
+        this.isVisible = false;
+        this.abortController = new AbortController();
+        
+        if (this.cursor && !appState.isMobile) {
+            this.init();
+        }
+    }
+
+    init() {
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const { signal } = this.abortController;
+        document.addEventListener('mousemove', this.onMouseMove.bind(this), { signal });
+        document.addEventListener('mouseenter', this.show.bind(this), { signal });
+        document.addEventListener('mouseleave', this.hide.bind(this), { signal });
+        
+        const interactiveElements = document.querySelectorAll('a, button, .service-card, .project-card, .member-card, .nav-link');
+        
+        interactiveElements.forEach(element => {
+            element.addEventListener('mouseenter', () => this.cursor?.classList.add('hover'), { signal });
+            element.addEventListener('mouseleave', () => this.cursor?.classList.remove('hover'), { signal });
+        });
+    }
+
+    onMouseMove(e) {
+        if (!this.isVisible) this.show();
+        
+        const x = e.clientX;
+        const y = e.clientY;
+        
+        requestAnimationFrame(() => {
+            if (this.cursorInner) {
+                this.cursorInner.style.transform = `translate(${x}px, ${y}px)`;
+            }
+            if (this.cursorOuter) {
+                this.cursorOuter.style.transform = `translate(${x}px, ${y}px)`;
+            }
+        });
+    }
+
+    show() {
+        this.isVisible = true;
+        if (this.cursor) {
+            this.cursor.style.opacity = '1';
+        }
+    }
+
+    hide() {
+        this.isVisible = false;
+        if (this.cursor) {
+            this.cursor.style.opacity = '0';
+        }
+    }
+
+    dispose() {
+        this.abortController.abort();
+    }
+}
+
+// Enhanced Navigation manager
+class NavigationManager {
+    constructor() {
+        this.navbar = document.getElementById('navbar');
+        this.navLinks = document.querySelectorAll('.nav-link');
+        this.navToggle = document.getElementById('nav-toggle');
+        this.navMenu = document.getElementById('nav-menu');
+        this.sections = document.querySelectorAll('.section, .hero');
+        this.backToTop = document.getElementById('back-to-top');
+        this.currentSection = 'home';
+        this.isMenuOpen = false;
+        this.routeHandlers = new Map();
+        this.activeRoute = null;
+        this.abortController = new AbortController();
+        
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.updateActiveLink();
+        this.setupSocialLinks();
+    }
+
+    // Hashes are either a section id ("#portfolio") or a section sub-route ("#portfolio/spontaneous-ai")
+    parseRoute(target = '') {
+        const [section = '', ...rest] = target.replace(/^#/, '').split('/');
+        return {
+            section,
+            param: rest.length ? decodeURIComponent(rest.join('/')) : null
+        };
+    }
+
+    addRouteHandler(section, handler) {
+        this.routeHandlers.set(section, handler);
+    }
+
+    navigate(target) {
+        history.pushState({ subRoute: true }, '', `#${target}`);
+        this.handleRoute();
+    }
+
+    // Leaves a sub-route, reusing the history entry when this page created it
+    exitSubRoute() {
+        if (history.state?.subRoute) {
+            history.back();
+            return;
+        }
+        
+        const { section } = this.parseRoute(window.location.hash);
+        history.replaceState(null, '', `${window.location.pathname}${window.location.search}#${section}`);
+        this.handleRoute();
+    }
+
+    handleRoute({ scroll = false } = {}) {
+        const route = this.parseRoute(window.location.hash);
+        const previous = this.activeRoute;
+        this.activeRoute = route;
+        
+        if (previous && previous.section !== route.section) {
+            this.routeHandlers.get(previous.section)?.(null);
+        }
+        
+        this.routeHandlers.get(route.section)?.(route.param);
+        
+        if (scroll && route.param) {
+            this.scrollToSection(route.section);
+        }
+    }
+
+    setupEventListeners() {
+        const { signal } = this.abortController;
+        
+        // Smooth scrolling for navigation links
+        this.navLinks.forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                const targetId = link.getAttribute('href').substring(1);
+                this.scrollToSection(targetId);
+                this.closeMenu();
+            }, { signal });
+        });
+
+        // Mobile menu toggle
+        if (this.navToggle) {
+            this.navToggle.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.toggleMenu();
+            }, { signal });
+        }
+
+        // Close menu when clicking outside
+        document.addEventListener('click', (e) => {
+            if (this.isMenuOpen && !this.navbar.contains(e.target)) {
+                this.closeMenu();
+            }
+        }, { signal });
+
+        // Scroll events
+        window.addEventListener('scroll', Utils.throttle(() => {
+            this.updateNavbarStyle();
+            this.updateActiveLink();
+            this.updateBackToTop();
+        }, 100), { signal });
+
+        // Back to top button
+        if (this.backToTop) {
+            this.backToTop.addEventListener('click', (e) => {
+                e.preventDefault();
+                window.scrollTo({
+                    top: 0,
+                    behavior: appState.isReducedMotion ? 'auto' : 'smooth'
+                });
+            }, { signal });
+        }
+
+        // Deep links and browser back/forward
+        window.addEventListener('hashchange', () => this.handleRoute(), { signal });
+
+        // Footer links
+        document.querySelectorAll('.footer-link').forEach(link => {
+            link.addEventListener('click', (e) => {
+                const href = link.getAttribute('href');
+                if (href && href.startsWith('#')) {
+                    e.preventDefault();
+                    const targetId = href.substring(1);
+                    this.scrollToSection(targetId);
+                }
+            }, { signal });
+        });
+    }
+
+    setupSocialLinks() {
+        // Setup all social media links to open in new tabs
+        const socialLinks = document.querySelectorAll('a[href*="linkedin.com"], a[href*="github.com"], a[href*="mohammadgulamrabbani.github.io"]');
+        
+        socialLinks.forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                const url = link.getAttribute('href');
+                if (url) {
+                    window.open(url, '_blank', 'noopener,noreferrer');
+                }
+            }, { signal: this.abortController.signal });
+        });
+    }
+
+    toggleMenu() {
+        this.isMenuOpen = !this.isMenuOpen;
+        
+        if (this.navMenu) {
+            this.navMenu.classList.toggle('active');
+        }
+        
+        if (this.navToggle) {
+            this.navToggle.classList.toggle('active');
+        }
+        
+        // Prevent body scroll when menu is open
+        appState.setScrollLock('menu', this.isMenuOpen);
+    }
+
+    closeMenu() {
+        this.isMenuOpen = false;
+        
+        if (this.navMenu) {
+            this.navMenu.classList.remove('active');
+        }
+        
+        if (this.navToggle) {
+            this.navToggle.classList.remove('active');
+        }
+        
+        appState.setScrollLock('menu', false);
+    }
+
+    scrollToSection(target) {
+        const { section: sectionId, param } = this.parseRoute(target);
+        const section = document.getElementById(sectionId);
+        if (section) {
+            const offsetTop = section.offsetTop - 80;
+            
+            window.scrollTo({
+                top: offsetTop,
+                behavior: appState.isReducedMotion ? 'auto' : 'smooth'
+            });
+            
+            appState.setCurrentSection(sectionId);
+        }
+        
+        if (param && this.routeHandlers.has(sectionId)) {
+            this.navigate(`${sectionId}/${encodeURIComponent(param)}`);
+        }
+    }
+
+    updateNavbarStyle() {
+        const scrollY = window.scrollY;
+        
+        if (scrollY > 100) {
+            this.navbar?.classList.add('scrolled');
+        } else {
+            this.navbar?.classList.remove('scrolled');
+        }
+    }
+
+    updateBackToTop() {
+        const scrollY = window.scrollY;
+        
+        if (scrollY > 500) {
+            this.backToTop?.classList.remove('hidden');
+        } else {
+            this.backToTop?.classList.add('hidden');
+        }
+    }
+
+    updateActiveLink() {
+        let currentSection = 'home';
+        
+        this.sections.forEach(section => {
+            const sectionTop = section.offsetTop - 150;
+            const sectionBottom = sectionTop + section.offsetHeight;
+            
+            if (window.scrollY >= sectionTop && window.scrollY < sectionBottom) {
+                currentSection = section.id;
+            }
+        });
+        
+        if (currentSection !== this.currentSection) {
+            this.currentSection = currentSection;
+            appState.setCurrentSection(currentSection);
+            
+            this.navLinks.forEach(link => {
+                link.classList.remove('active');
+                if (link.getAttribute('href') === `#${currentSection}`) {
+                    link.classList.add('active');
+                }
+            });
+        }
+    }
+
+    dispose() {
+        this.abortController.abort();
+        this.routeHandlers.clear();
+        appState.setScrollLock('menu', false);
+    }
+}
+
+// Enhanced Animation manager
+class AnimationManager {
+    constructor() {
+        this.observers = new Map();
+        this.abortController = new AbortController();
+        this.init();
+    }
+
+    init() {
+        // Parallax checks the setting on every scroll, so the motion toggle applies to it live
+        this.setupParallaxEffect();
+        // Counters and bars always fill in; under reduced motion they jump straight to their values
+        this.setupCounterAnimations();
+        this.setupProgressBarAnimations();
+        
+        this.setScrollAnimations(!appState.isReducedMotion);
+        this.offScrollToggle = motionManager?.onChange(isReduced => this.setScrollAnimations(!isReduced));
+    }
+
+    setScrollAnimations(isEnabled) {
+        if (isEnabled === this.observers.has('scroll')) return;
+        
+        if (isEnabled) {
+            this.setupScrollAnimations();
+            return;
+        }
+        
+        // Cards are visible without the reveal class, so dropping the observer leaves nothing hidden
+        this.observers.get('scroll').disconnect();
+        this.observers.delete('scroll');
+    }
+
+    setupScrollAnimations() {
+        const animatedElements = document.querySelectorAll(
+            '.service-card, .tech-item, .project-card, .member-card, .info-item, .stat-card'
+        );
+        
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach((entry, index) => {
+                if (entry.isIntersecting) {
+                    setTimeout(() => {
+                        entry.target.classList.add('animate-fade-in-up');
+                    }, index * CONFIG.animations.stagger);
+                }
+            });
+        }, {
+            threshold: 0.1,
+            rootMargin: '-50px'
+        });
+        
+        animatedElements.forEach(element => {
+            observer.observe(element);
+        });
+        
+        this.observers.set('scroll', observer);
+    }
+
+    setupCounterAnimations() {
+        const counters = document.querySelectorAll('.stat-number[data-target]');
+        
+        const counterObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    this.animateCounter(entry.target);
+                    counterObserver.unobserve(entry.target);
+                }
+            });
+        }, {
+            threshold: 0.5
+        });
+        
+        counters.forEach(counter => {
+            counterObserver.observe(counter);
+        });
+        
+        this.observers.set('counter', counterObserver);
+    }
+
+    setupProgressBarAnimations() {
+        const progressBars = document.querySelectorAll('.tech-progress[data-width]');
+        
+        const progressObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    const width = entry.target.getAttribute('data-width');
+                    setTimeout(() => {
+                        entry.target.style.width = `${width}%`;
+                    }, appState.isReducedMotion ? 0 : 300);
+                    progressObserver.unobserve(entry.target);
+                }
+            });
+        }, {
+            threshold: 0.5
+        });
+        
+        progressBars.forEach(bar => {
+            progressObserver.observe(bar);
+        });
+        
+        this.observers.set('progress', progressObserver);
+    }
+
+    setupParallaxEffect() {
+        const update = () => {
+            const scrolled = appState.isReducedMotion ? 0 : window.pageYOffset;
+            const rate = scrolled * -0.5;
+            
+            // Looked up each time, as the hero scene swaps its canvas when WebGL is lost or restored
+            document.querySelectorAll('.hero-canvas').forEach(element => {
+                element.style.transform = rate ? `translateY(${rate}px)` : '';
+            });
+        };
+        
+        window.addEventListener('scroll', Utils.throttle(update, 16), { signal: this.abortController.signal });
+        this.offMotionChange = motionManager?.onChange(update);
+    }
+
+    animateCounter(element) {
+        const target = parseInt(element.getAttribute('data-target'));
+        if (appState.isReducedMotion) {
+            element.textContent = target;
+            return;
+        }
+        
+        const duration = CONFIG.animations.duration * 2;
+        const step = target / (duration / 16);
+        let current = 0;
+        
+        const timer = setInterval(() => {
+            current += step;
+            if (current >= target) {
+                current = target;
+                clearInterval(timer);
+            }
+            element.textContent = Math.floor(current);
+        }, 16);
+    }
+
+    dispose() {
+        this.observers.forEach(observer => observer.disconnect());
+        this.abortController.abort();
+        this.offMotionChange?.();
+        this.offScrollToggle?.();
+    }
+}
+
+// Contact submission error - `retryable` marks failures worth another attempt, `isNetworkError`
+// ones where the server was never reached, and `retryAfter` (ms) is the server's requested wait
+class SubmissionError extends Error {
+    constructor(message, { status = null, retryable = false, isNetworkError = false, retryAfter = null } = {}) {
+        super(message);
+        this.name = 'SubmissionError';
+        this.status = status;
+        this.retryable = retryable;
+        this.isNetworkError = isNetworkError;
+        this.retryAfter = retryAfter;
+    }
+}
+
+// POSTs the message as JSON to a form backend
+class HttpTransport {
+    constructor({ endpoint }) {
+        this.name = 'http';
+        this.endpoint = endpoint;
+    }
+
+    async send(payload, { signal } = {}) {
+        let response;
+        
+        try {
+            response = await fetch(this.endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify(payload),
+                signal
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            throw new SubmissionError('Network error, the message could not be delivered.', { retryable: true, isNetworkError: true });
+        }
+        
+        if (!response.ok) {
+            // Only the delay-seconds form of Retry-After is used
+            const retryAfter = Number(response.headers?.get('Retry-After'));
+            throw new SubmissionError(`Server responded with ${response.status}.`, {
+                status: response.status,
+                retryable: response.status >= 500 || response.status === 429,
+                retryAfter: retryAfter > 0 ? retryAfter * 1000 : null
+            });
+        }
+        
+        return { confirmed: true };
+    }
+}
+
+// Hands the message to the visitor's mail client - delivery cannot be confirmed
+class MailtoTransport {
+    constructor({ email }) {
+        this.name = 'mailto';
+        this.email = email;
+    }
+
+    buildURL(payload) {
+        const subject = payload.subject || 'Portfolio enquiry';
+        const body = `${payload.message || ''}\n\n${payload.name || ''}${payload.email ? ` <${payload.email}>` : ''}`;
+        return `mailto:${encodeURIComponent(this.email)}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body.trim())}`;
+    }
+
+    async send(payload) {
+        window.location.href = this.buildURL(payload);
+        return { confirmed: false };
+    }
+}
+
+// Local transport for development and tests - never leaves the page
+class MockTransport {
+    constructor({ latency = 800, outcome = 'success' } = {}) {
+        this.name = 'mock';
+        this.latency = latency;
+        this.outcome = outcome;
+        this.sent = [];
+    }
+
+    send(payload, { signal } = {}) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                switch (this.outcome) {
+                    case 'error':
+                        reject(new SubmissionError('Mock transport rejected the message.', { status: 500, retryable: true }));
+                        break;
+                    case 'invalid':
+                        reject(new SubmissionError('Mock transport refused the message.', { status: 422 }));
+                        break;
+                    case 'timeout':
+                        // Never settles; the submitter's timeout aborts it
+                        break;
+                    default:
+                        this.sent.push(payload);
+                        resolve({ confirmed: true });
+                }
+            }, this.latency);
+            
+            signal?.addEventListener('abort', () => {
+                clearTimeout(timer);
+                const abortError = new Error('Aborted');
+                abortError.name = 'AbortError';
+                reject(abortError);
+            });
+        });
+    }
+}
+
+// Submission pipeline - timeouts and retries around a single transport
+class ContactSubmitter {
+    constructor(options = CONFIG.contact) {
+        this.options = options;
+        this.transport = ContactSubmitter.createTransport(options);
+    }
+
+    static createTransport(options) {
+        let type = options.transport;
+        
+        if (type === 'auto') {
+            if (options.endpoint) {
+                type = 'http';
+            } else if (window.location.hostname === 'localhost') {
+                type = 'mock';
+            } else {
+                type = 'mailto';
+            }
+        }
+        
+        switch (type) {
+            case 'http':
+                return new HttpTransport(options);
+            case 'mock':
+                return new MockTransport(options.mock);
+            case 'mailto':
+                return new MailtoTransport(options);
+            default:
+                console.warn(`Unknown contact transport "${type}", falling back to mailto`);
+                return new MailtoTransport(options);
+        }
+    }
+
+    async submit(payload, { onAttempt } = {}) {
+        const { retries, retryDelay } = this.options;
+        let lastError;
+        
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            onAttempt?.(attempt + 1, retries + 1);
+            
+            try {
+                return await this.sendWithTimeout(payload);
+            } catch (error) {
+                lastError = error;
+                if (!error.retryable || attempt === retries) break;
+                await new Promise(resolve => setTimeout(resolve, retryDelay * Math.pow(2, attempt)));
+            }
+        }
+        
+        throw lastError;
+    }
+
+    async sendWithTimeout(payload) {
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, this.options.timeout);
+        
+        try {
+            return await this.transport.send(payload, { signal: controller.signal });
+        } catch (error) {
+            if (timedOut) {
+                // No answer at all is treated like a lost connection
+                throw new SubmissionError('The request timed out.', { retryable: true, isNetworkError: true });
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+// Offline queue - keeps undeliverable messages in localStorage until a connection returns
+class SubmissionQueue {
+    constructor(submitter, key = CONFIG.contact.queueKey) {
+        this.submitter = submitter;
+        this.key = key;
+        this.sentKey = `${key}.sent`;
+        this.isFlushing = false;
+    }
+
+    read(key = this.key) {
+        try {
+            return JSON.parse(localStorage.getItem(key)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    write(items, key = this.key) {
+        localStorage.setItem(key, JSON.stringify(items));
+    }
+
+    get size() {
+        return this.read().length;
+    }
+
+    // Throws when storage is unavailable so the caller can fall back to an error state
+    enqueue(payload) {
+        const items = this.read();
+        if (!items.some(item => item.id === payload.submissionId)) {
+            items.push({ id: payload.submissionId, payload, queuedAt: Date.now() });
+            this.write(items);
+        }
+    }
+
+    remove(id) {
+        this.write(this.read().filter(item => item.id !== id));
+    }
+
+    // Marks an item as in flight; claims expire so a closed tab cannot strand a message
+    claim(id) {
+        const items = this.read();
+        const item = items.find(entry => entry.id === id);
+        if (!item || (item.claimedAt && Date.now() - item.claimedAt < CONFIG.contact.timeout * 3)) {
+            return false;
+        }
+        
+        item.claimedAt = Date.now();
+        this.write(items);
+        return true;
+    }
+
+    release(id) {
+        this.write(this.read().map(item => item.id === id ? { ...item, claimedAt: null } : item));
+    }
+
+    wasSent(id) {
+        return this.read(this.sentKey).includes(id);
+    }
+
+    markSent(id) {
+        // Only the most recent ids are needed to catch a double flush
+        this.write([...this.read(this.sentKey), id].slice(-50), this.sentKey);
+    }
+
+    async flush() {
+        if (this.isFlushing || !this.size) return [];
+        
+        this.isFlushing = true;
+        try {
+            // The Web Locks API also stops two open tabs from flushing the same queue
+            if (navigator.locks) {
+                return await navigator.locks.request(this.key, () => this.drain());
+            }
+            return await this.drain();
+        } finally {
+            this.isFlushing = false;
+        }
+    }
+
+    async drain() {
+        const sent = [];
+        
+        for (const item of this.read()) {
+            if (this.wasSent(item.id)) {
+                this.remove(item.id);
+                continue;
+            }
+            
+            if (!this.claim(item.id)) continue;
+            
+            try {
+                await this.submitter.submit(item.payload);
+                this.markSent(item.id);
+                this.remove(item.id);
+                sent.push(item);
+            } catch (error) {
+                if (error.retryable) {
+                    this.release(item.id);
+                    break;
+                }
+                
+                // Rejected outright; resending will not help
+                console.error('Dropping queued contact message:', error);
+                this.remove(item.id);
+            }
+        }
+        
+        return sent;
+    }
+}
+
+// Validation rules - each returns an error message or null
+const Validators = {
+    required: (value, enabled) => enabled && !value ? 'This field is required.' : null,
+    minLength: (value, min) => value && value.length < min ? `Please enter at least ${min} characters.` : null,
+    maxLength: (value, max) => value.length > max ? `Please keep this under ${max} characters.` : null,
+    email: (value, enabled) => enabled && value && !/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(value)
+        ? 'Please enter a valid email address.'
+        : null,
+    notOnlyURL: (value, enabled) => enabled && value && !value.replace(/https?:\/\/\S+|www\.\S+/gi, '').trim()
+        ? 'Please add a few words, not just a link.'
+        : null,
+    maxLinks: (value, max) => (value.match(/https?:\/\/|www\./gi) || []).length > max
+        ? `Please include no more than ${max} links.`
+        : null
+};
+
+// Form validator - declarative per-field rules with inline, accessible errors
+class FormValidator {
+    constructor(form, rules = {}) {
+        this.form = form;
+        this.rules = rules;
+        this.touched = new Set();
+    }
+
+    getFields() {
+        return Object.keys(this.rules)
+            .map(name => this.form.elements[name])
+            .filter(Boolean);
+    }
+
+    validateField(input) {
+        const rules = this.rules[input.name] || {};
+        const value = input.value.trim();
+        let error = null;
+        
+        for (const [rule, param] of Object.entries(rules)) {
+            if (rule === 'messages') continue;
+            
+            const validator = Validators[rule];
+            if (!validator) {
+                console.warn(`Unknown validation rule "${rule}" on field "${input.name}"`);
+                continue;
+            }
+            
+            error = validator(value, param);
+            if (error) {
+                error = rules.messages?.[rule] || error;
+                break;
+            }
+        }
+        
+        this.touched.add(input.name);
+        this.showError(input, error);
+        return !error;
+    }
+
+    validateAll() {
+        const invalid = this.getFields().filter(input => !this.validateField(input));
+        invalid[0]?.focus();
+        return invalid.length === 0;
+    }
+
+    // Fields are only re-checked while typing once they have been validated
+    isTouched(input) {
+        return this.touched.has(input.name);
+    }
+
+    showError(input, message) {
+        const formGroup = input.closest('.form-group');
+        const errorId = `${input.id || input.name}-error`;
+        let errorElement = document.getElementById(errorId);
+        
+        if (!errorElement && formGroup) {
+            errorElement = document.createElement('p');
+            errorElement.id = errorId;
+            errorElement.className = 'form-error';
+            formGroup.appendChild(errorElement);
+        }
+        
+        formGroup?.classList.toggle('has-error', Boolean(message));
+        
+        if (message) {
+            input.setAttribute('aria-invalid', 'true');
+            input.setAttribute('aria-describedby', errorId);
+        } else {
+            input.removeAttribute('aria-invalid');
+            input.removeAttribute('aria-describedby');
+        }
+        
+        if (errorElement) {
+            errorElement.textContent = message || '';
+        }
+    }
+
+    reset() {
+        this.touched.clear();
+        this.getFields().forEach(input => this.showError(input, null));
+    }
+}
+
+// Enhanced Form manager
+class FormManager {
+    constructor() {
+        this.form = document.getElementById('contact-form');
+        this.inputs = this.form?.querySelectorAll('.form-control');
+        this.status = this.form?.querySelector('.form-status');
+        this.honeypot = this.form?.querySelector('.form-honeypot input');
+        this.validator = this.form ? new FormValidator(this.form, CONFIG.contact.rules) : null;
+        this.submitter = new ContactSubmitter(CONFIG.contact);
+        this.queue = new SubmissionQueue(this.submitter);
+        this.isSubmitting = false;
+        this.startedAt = Date.now();
+        this.abortController = new AbortController();
+        // A later attempt for a server error, and the next retry of the queue while online
+        this.retryTimer = null;
+        this.flushTimer = null;
+        
+        if (this.form) {
+            this.init();
+        }
+    }
+
+    init() {
+        this.setupEventListeners();
+        
+        // Messages queued on a previous visit
+        if (this.queue.size) {
+            this.showQueuedStatus();
+            this.flushQueue();
+        }
+    }
+
+    setupEventListeners() {
+        const { signal } = this.abortController;
+        if (this.form) {
+            this.form.addEventListener('submit', this.handleSubmit.bind(this), { signal });
+        }
+        
+        window.addEventListener('online', () => this.flushQueue(), { signal });
+        
+        if (this.inputs) {
+            this.inputs.forEach(input => {
+                input.addEventListener('focus', this.handleFocus.bind(this), { signal });
+                input.addEventListener('blur', this.handleBlur.bind(this), { signal });
+                input.addEventListener('input', this.handleInput.bind(this), { signal });
+            });
+        }
+    }
+
+    dispose() {
+        this.abortController.abort();
+        clearTimeout(this.retryTimer);
+        clearTimeout(this.flushTimer);
+    }
+
+    handleFocus(e) {
+        const formGroup = e.target.closest('.form-group');
+        formGroup?.classList.add('focused');
+    }
+
+    handleBlur(e) {
+        const formGroup = e.target.closest('.form-group');
+        if (!e.target.value) {
+            formGroup?.classList.remove('focused');
+        }
+        
+        this.validator?.validateField(e.target);
+    }
+
+    handleInput(e) {
+        const formGroup = e.target.closest('.form-group');
+        if (e.target.value) {
+            formGroup?.classList.add('has-value');
+        } else {
+            formGroup?.classList.remove('has-value');
+        }
+        
+        if (this.validator?.isTouched(e.target)) {
+            this.validator.validateField(e.target);
+        }
+    }
+
+    // Honeypot filled or submitted implausibly fast
+    getSpamReason() {
+        if (this.honeypot?.value) return 'honeypot';
+        if (Date.now() - this.startedAt < CONFIG.contact.minSubmitTime) return 'too-fast';
+        return null;
+    }
+
+    getPayload() {
+        const fields = Object.fromEntries(new FormData(this.form).entries());
+        
+        if (this.honeypot) {
+            delete fields[this.honeypot.name];
+        }
+        
+        return {
+            ...fields,
+            submissionId: Utils.uniqueId(),
+            page: window.location.href,
+            submittedAt: new Date().toISOString()
+        };
+    }
+
+    async handleSubmit(e) {
+        e.preventDefault();
+        if (this.isSubmitting) return;
+        
+        this.setStatus(null);
+        if (this.validator && !this.validator.validateAll()) return;
+        
+        const spamReason = this.getSpamReason();
+        if (spamReason === 'honeypot') {
+            // Pretend it worked so bots get no signal
+            this.showSuccessMessage();
+            this.resetForm();
+            return;
+        }
+        if (spamReason === 'too-fast') {
+            this.setStatus('error', 'That was quick! Please take a moment to check your message, then send it again.');
+            return;
+        }
+        
+        const payload = this.getPayload();
+        // A new submission replaces one waiting for its later attempt
+        clearTimeout(this.retryTimer);
+        
+        if (navigator.onLine === false) {
+            this.queueMessage(payload);
+            return;
+        }
+        
+        await this.send(payload);
+    }
+
+    async send(payload, { isRetry = false } = {}) {
+        this.setStatus(null);
+        this.setSubmitting(true);
+        
+        try {
+            const result = await this.submitter.submit(payload, {
+                onAttempt: (attempt, total) => {
+                    this.setButtonText(attempt > 1 ? `Retrying (${attempt}/${total})...` : 'Sending...');
+                }
+            });
+            
+            if (result.confirmed) {
+                this.showSuccessMessage();
+                this.resetForm();
+            } else {
+                // Mail client hand-off: keep the form filled in case it never opened
+                this.setStatus('info', `Your email app should open with the message ready to send. If it didn't, write to ${CONFIG.contact.email}.`);
+            }
+        } catch (error) {
+            // The server was never reached, so the message waits in the queue for a connection
+            if (error.isNetworkError && this.queueMessage(payload)) return;
+            
+            // The server answered but is struggling; the visitor is online, so try again later
+            if (error.retryable && !isRetry) {
+                this.scheduleRetry(payload, error.retryAfter ?? CONFIG.contact.retryLater);
+                return;
+            }
+            
+            console.error('Contact form submission failed:', error);
+            this.setStatus('error', `${error.message || 'Something went wrong.'} Your message was not sent - please try again or email ${CONFIG.contact.email}.`);
+            this.showErrorMessage();
+        } finally {
+            this.setSubmitting(false);
+        }
+    }
+
+    scheduleRetry(payload, delay) {
+        const seconds = Math.ceil(delay / 1000);
+        this.setStatus('info', `The server is busy right now. Your message will be sent again in ${seconds} second${seconds === 1 ? '' : 's'} - please keep this page open.`);
+        this.retryTimer = setTimeout(() => this.send(payload, { isRetry: true }), delay);
+    }
+
+    // Returns false when the message could not be stored
+    queueMessage(payload) {
+        try {
+            this.queue.enqueue(payload);
+        } catch (error) {
+            console.error('Could not queue contact message:', error);
+            return false;
+        }
+        
+        // The message is safe in storage, so the form can be cleared
+        this.resetForm();
+        this.showQueuedStatus();
+        return true;
+    }
+
+    showQueuedStatus() {
+        const count = this.queue.size;
+        const subject = count === 1 ? 'Your message is' : `${count} messages are`;
+        
+        if (navigator.onLine === false) {
+            this.setStatus('info', `${subject} queued and will send automatically when you're back online.`);
+            return;
+        }
+        
+        // Online but the server can't be reached, so no 'online' event will come; keep trying
+        this.setStatus('info', `${subject} queued because the server couldn't be reached. It will be sent automatically - on this visit or your next one.`);
+        this.scheduleFlush();
+    }
+
+    scheduleFlush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = setTimeout(() => this.flushQueue(), CONFIG.contact.retryLater);
+    }
+
+    // Safe to call without awaiting: failures are logged and the messages stay queued
+    async flushQueue() {
+        if (navigator.onLine === false) return;
+        
+        let sent;
+        try {
+            sent = await this.queue.flush();
+        } catch (error) {
+            console.error('Could not send queued contact messages:', error);
+            return;
+        }
+        
+        if (this.queue.size) {
+            this.showQueuedStatus();
+        } else if (sent.length) {
+            this.setStatus(null);
+        }
+        
+        if (!sent.length) return;
+        
+        this.showMessage({
+            icon: '✅',
+            title: sent.length === 1 ? 'Queued Message Sent!' : `${sent.length} Queued Messages Sent!`,
+            text: "Your message got through. I'll get back to you soon."
+        });
+    }
+
+    setSubmitting(isSubmitting) {
+        this.isSubmitting = isSubmitting;
+        const submitBtn = this.form.querySelector('.form-submit');
+        
+        if (submitBtn) {
+            submitBtn.disabled = isSubmitting;
+        }
+        
+        this.form.setAttribute('aria-busy', String(isSubmitting));
+        this.setButtonText(isSubmitting ? 'Sending...' : null);
+    }
+
+    setButtonText(text) {
+        const btnText = this.form.querySelector('.form-submit .btn-text');
+        if (!btnText) return;
+        
+        if (!this.originalButtonText) {
+            this.originalButtonText = btnText.textContent;
+        }
+        
+        btnText.textContent = text || this.originalButtonText;
+    }
+
+    setStatus(type, text) {
+        this.form.classList.toggle('has-error', type === 'error');
+        if (!this.status) return;
+        
+        this.status.className = `form-status${type ? ` form-status--${type}` : ' hidden'}`;
+        this.status.textContent = text || '';
+    }
+
+    resetForm() {
+        this.form.reset();
+        this.validator?.reset();
+        this.startedAt = Date.now();
+        
+        // Remove focused states
+        this.inputs?.forEach(input => {
+            const formGroup = input.closest('.form-group');
+            formGroup?.classList.remove('focused', 'has-value');
+        });
+    }
+
+    showSuccessMessage() {
+        this.showMessage({
+            icon: '✅',
+            title: 'Message Sent!',
+            text: "I'll get back to you soon."
+        });
+    }
+
+    showErrorMessage() {
+        this.showMessage({
+            icon: '⚠️',
+            title: 'Message Not Sent',
+            text: 'Please try again in a moment.',
+            rgb: '192, 21, 47'
+        });
+    }
+
+    showMessage({ icon, title, text, rgb = '50, 184, 198' }) {
+        const message = document.createElement('div');
+        message.className = 'success-message';
+        message.setAttribute('role', 'status');
+        message.style.cssText = `
+            position: fixed;
+            top: 20px;
+            right: 20px;
+            background: linear-gradient(45deg, rgba(${rgb}, 0.95), rgba(${rgb}, 0.8));
+            color: white;
+            padding: 16px 24px;
+            border-radius: 12px;
+            z-index: 10000;
+            font-family: 'Rajdhani', sans-serif;
+            font-size: 16px;
+            font-weight: 500;
+            backdrop-filter: blur(10px);
+            border: 1px solid rgba(${rgb}, 0.5);
+            box-shadow: 0 8px 32px rgba(${rgb}, 0.3);
+            animation: slideInSuccess 0.5s cubic-bezier(0.16, 1, 0.3, 1);
+            max-width: 300px;
+        `;
+        message.innerHTML = `
+            <div style="display: flex; align-items: center; gap: 12px;">
+                <div style="font-size: 20px;">${icon}</div>
+                <div>
+                    <div style="font-weight: 600; margin-bottom: 4px;">${title}</div>
+                    <div style="font-size: 14px; opacity: 0.9;">${text}</div>
+                </div>
+            </div>
+        `;
+        
+        // Add animation styles if not already present
+        if (!document.getElementById('success-animation-styles')) {
+            const style = document.createElement('style');
+            style.id = 'success-animation-styles';
+            style.textContent = `
+                @keyframes slideInSuccess {
+                    from { 
+                        transform: translateX(100%) translateY(-20px); 
+                        opacity: 0;
+                        scale: 0.8;
+                    }
+                    to { 
+                        transform: translateX(0) translateY(0); 
+                        opacity: 1;
+                        scale: 1;
+                    }
+                }
+                @keyframes slideOutSuccess {
+                    from { 
+                        transform: translateX(0) translateY(0); 
+                        opacity: 1;
+                        scale: 1;
+                    }
+                    to { 
+                        transform: translateX(100%) translateY(-20px); 
+                        opacity: 0;
+                        scale: 0.8;
+                    }
+                }
+            `;
+            document.head.appendChild(style);
+        }
+        
+        document.body.appendChild(message);
+        
+        setTimeout(() => {
+            message.style.animation = 'slideOutSuccess 0.5s cubic-bezier(0.16, 1, 0.3, 1) forwards';
+            setTimeout(() => {
+                message.remove();
+            }, 500);
+        }, 4000);
     }
 }
 
-// Advanced canvas scene for various effects
-class CanvasScene extends Scene3D {
-    constructor(canvas, type = 'default') {
-        super(canvas, { type });
-        this.elements = [];
-        this.initElements();
-    }
-
-    initElements() {
-        const elementCount = appState.isMobile ? 15 : 25;
+// Portfolio manager - renders project cards from the catalog
+class PortfolioManager {
+    constructor(projects = []) {
+        this.grid = document.getElementById('portfolio-grid');
+        this.projects = projects.map(project => this.normalizeProject(project)).filter(Boolean);
+        this.entries = [];
         
-        for (let i = 0; i < elementCount; i++) {
-            this.elements.push({
-                x: Math.random() * 200 - 100,
-                y: Math.random() * 200 - 100,
-                size: Math.random() * 20 + 5,
-                angle: Math.random() * Math.PI * 2,
-                speed: Math.random() * 0.02 + 0.01,
-                opacity: Math.random() * 0.5 + 0.3,
-                type: Math.floor(Math.random() * 3)
-            });
+        if (this.grid) {
+            this.init();
         }
     }
 
-    render() {
-        if (!this.ctx) return;
-        
-        const rect = this.canvas.getBoundingClientRect();
-        const centerX = rect.width / 2;
-        const centerY = rect.height / 2;
-        
-        this.ctx.clearRect(0, 0, rect.width, rect.height);
-        this.ctx.save();
-        this.ctx.translate(centerX, centerY);
-        
-        switch (this.options.type) {
-            case 'hologram':
-                this.renderHologram();
-                break;
-            case 'network':
-                this.renderNetwork();
-                break;
-            case 'particle':
-                this.renderParticleSystem();
-                break;
-            case 'neural':
-                this.renderNeuralNetwork();
-                break;
-            default:
-                this.renderDefault();
-                break;
-        }
-        
-        this.ctx.restore();
+    init() {
+        this.render();
     }
 
-    renderHologram() {
-        this.ctx.strokeStyle = '#32b8c6';
-        this.ctx.lineWidth = 2;
-        this.ctx.shadowColor = '#32b8c6';
-        this.ctx.shadowBlur = 15;
-        
-        for (let i = 0; i < 3; i++) {
-            this.ctx.save();
-            this.ctx.rotate(this.time + i * Math.PI / 3);
-            this.ctx.globalAlpha = 0.8 - i * 0.2;
-            
-            const size = 40 + i * 20;
-            this.ctx.strokeRect(-size, -size, size * 2, size * 2);
-            
-            // Add inner details
-            this.ctx.strokeRect(-size * 0.6, -size * 0.6, size * 1.2, size * 1.2);
-            
-            this.ctx.restore();
+    normalizeProject(project) {
+        if (!project || !project.id) {
+            console.warn('Skipping project without an id:', project);
+            return null;
         }
         
-        // Add scanning lines
-        this.ctx.save();
-        this.ctx.globalAlpha = 0.3;
-        this.ctx.strokeStyle = '#32b8c6';
-        this.ctx.lineWidth = 1;
+        const normalized = {
+            title: project.id,
+            description: '',
+            tech: [],
+            status: '',
+            scene: 'hologram',
+            links: [],
+            ...project
+        };
         
-        for (let i = 0; i < 8; i++) {
-            const y = -60 + (i * 15) + (this.time * 20) % 120;
-            this.ctx.beginPath();
-            this.ctx.moveTo(-60, y);
-            this.ctx.lineTo(60, y);
-            this.ctx.stroke();
-        }
-        this.ctx.restore();
+        // Cards and the detail view render these as-is, so unsafe URLs are dropped here
+        normalized.links = normalized.links.filter(link => {
+            if (Utils.isSafeUrl(link.url)) return true;
+            
+            console.warn(`Skipping unsafe link in project "${project.id}":`, link.url);
+            return false;
+        });
+        
+        return normalized;
     }
 
-    renderNetwork() {
-        const nodes = 12;
-        const radius = 80;
-        
-        this.ctx.strokeStyle = '#32b8c6';
-        this.ctx.fillStyle = '#32b8c6';
-        this.ctx.lineWidth = 1;
-        this.ctx.shadowColor = '#32b8c6';
-        this.ctx.shadowBlur = 8;
-        
-        const positions = [];
+    render() {
+        this.grid.innerHTML = '';
+        this.entries = [];
         
-        // Draw nodes
-        for (let i = 0; i < nodes; i++) {
-            const angle = (i / nodes) * Math.PI * 2 + this.time * 0.5;
-            const x = Math.cos(angle) * radius;
-            const y = Math.sin(angle) * radius;
+        this.projects.forEach(project => {
+            const card = this.createCard(project);
+            this.grid.appendChild(card);
             
-            positions.push({x, y});
-            
-            const pulse = Math.sin(this.time * 2 + i) * 0.5 + 1;
-            this.ctx.save();
-            this.ctx.globalAlpha = 0.8;
-            this.ctx.beginPath();
-            this.ctx.arc(x, y, 4 * pulse, 0, Math.PI * 2);
-            this.ctx.fill();
-            this.ctx.restore();
-        }
-        
-        // Draw connections
-        this.ctx.globalAlpha = 0.4;
-        positions.forEach((pos1, i) => {
-            positions.forEach((pos2, j) => {
-                if (i !== j) {
-                    const distance = Math.sqrt(Math.pow(pos1.x - pos2.x, 2) + Math.pow(pos1.y - pos2.y, 2));
-                    if (distance < radius * 1.2) {
-                        this.ctx.beginPath();
-                        this.ctx.moveTo(pos1.x, pos1.y);
-                        this.ctx.lineTo(pos2.x, pos2.y);
-                        this.ctx.stroke();
-                    }
-                }
+            this.entries.push({
+                project,
+                card,
+                isFilteredOut: false
             });
         });
-        
-        // Add central core
-        this.ctx.save();
-        this.ctx.globalAlpha = 0.6;
-        this.ctx.fillStyle = '#32b8c6';
-        this.ctx.shadowBlur = 20;
-        const coreSize = 8 + Math.sin(this.time * 3) * 3;
-        this.ctx.beginPath();
-        this.ctx.arc(0, 0, coreSize, 0, Math.PI * 2);
-        this.ctx.fill();
-        this.ctx.restore();
     }
 
-    renderParticleSystem() {
-        this.elements.forEach((element, i) => {
-            element.angle += element.speed;
-            
-            const distance = 40 + Math.sin(this.time * 2 + i) * 25;
-            const x = Math.cos(element.angle) * distance;
-            const y = Math.sin(element.angle) * distance;
-            const size = element.size * (0.8 + Math.sin(this.time * 3 + i) * 0.4);
-            
-            this.ctx.save();
-            this.ctx.globalAlpha = element.opacity;
-            this.ctx.fillStyle = '#32b8c6';
-            this.ctx.shadowColor = '#32b8c6';
-            this.ctx.shadowBlur = 10;
-            
-            this.ctx.beginPath();
-            this.ctx.arc(x, y, size * 0.3, 0, Math.PI * 2);
-            this.ctx.fill();
-            this.ctx.restore();
-        });
+    createCard(project) {
+        const card = document.createElement('div');
+        card.className = 'project-card';
+        card.setAttribute('data-project', project.id);
+        card.setAttribute('tabindex', '0');
+        card.setAttribute('role', 'button');
+        card.setAttribute('aria-haspopup', 'dialog');
+        card.setAttribute('aria-label', `${project.title} - view project details`);
         
-        // Add energy waves
-        this.ctx.save();
-        this.ctx.globalAlpha = 0.3;
-        this.ctx.strokeStyle = '#32b8c6';
-        this.ctx.lineWidth = 2;
+        const badges = project.tech
+            .map(tech => `<span class="tech-badge">${Utils.escapeHTML(tech)}</span>`)
+            .join('');
         
-        for (let i = 0; i < 3; i++) {
-            const radius = 30 + i * 20 + (this.time * 30) % 60;
-            this.ctx.beginPath();
-            this.ctx.arc(0, 0, radius, 0, Math.PI * 2);
-            this.ctx.stroke();
-        }
-        this.ctx.restore();
+        const links = project.links
+            .map(link => `<a href="${Utils.escapeHTML(link.url)}" class="project-link" target="_blank" rel="noopener noreferrer">${Utils.escapeHTML(link.label)}</a>`)
+            .join('');
+        
+        card.innerHTML = `
+            <div class="project-media">
+                <canvas class="project-canvas" id="project-canvas-${Utils.escapeHTML(project.id)}" data-scene="${Utils.escapeHTML(project.scene)}"></canvas>
+                <div class="project-overlay">
+                    <div class="overlay-content">
+                        <h3 class="project-title">${Utils.escapeHTML(project.title)}</h3>
+                        <p class="project-description">${Utils.escapeHTML(project.description)}</p>
+                        <div class="project-tech">${badges}</div>
+                        ${project.status ? `<div class="project-status">${Utils.escapeHTML(project.status)}</div>` : ''}
+                        ${links ? `<div class="project-links">${links}</div>` : ''}
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        return card;
     }
 
-    renderNeuralNetwork() {
-        // Create a more complex neural network visualization
-        const layers = [6, 8, 6, 4];
-        const layerSpacing = 120;
-        const nodeSpacing = 30;
-        
-        this.ctx.strokeStyle = '#32b8c6';
-        this.ctx.fillStyle = '#32b8c6';
-        this.ctx.lineWidth = 1;
-        this.ctx.shadowColor = '#32b8c6';
-        this.ctx.shadowBlur = 5;
-        
-        const allNodes = [];
-        
-        // Draw layers and nodes
-        layers.forEach((nodeCount, layerIndex) => {
-            const layerNodes = [];
-            const startY = -(nodeCount - 1) * nodeSpacing / 2;
-            const x = -layerSpacing * (layers.length - 1) / 2 + layerIndex * layerSpacing;
-            
-            for (let i = 0; i < nodeCount; i++) {
-                const y = startY + i * nodeSpacing;
-                const activation = Math.sin(this.time * 2 + layerIndex + i) * 0.5 + 0.5;
-                
-                layerNodes.push({x, y, activation});
-                
-                this.ctx.save();
-                this.ctx.globalAlpha = 0.3 + activation * 0.7;
-                this.ctx.beginPath();
-                this.ctx.arc(x, y, 6, 0, Math.PI * 2);
-                this.ctx.fill();
-                this.ctx.restore();
-            }
-            
-            allNodes.push(layerNodes);
-        });
-        
-        // Draw connections
-        this.ctx.globalAlpha = 0.2;
-        for (let i = 0; i < allNodes.length - 1; i++) {
-            allNodes[i].forEach(node1 => {
-                allNodes[i + 1].forEach(node2 => {
-                    const strength = (node1.activation + node2.activation) / 2;
-                    this.ctx.save();
-                    this.ctx.globalAlpha = 0.1 + strength * 0.3;
-                    this.ctx.beginPath();
-                    this.ctx.moveTo(node1.x, node1.y);
-                    this.ctx.lineTo(node2.x, node2.y);
-                    this.ctx.stroke();
-                    this.ctx.restore();
-                });
-            });
-        }
+    getEntry(projectId) {
+        return this.entries.find(entry => entry.project.id === projectId);
     }
 }
 
-// Cursor effect manager
-class CursorManager {
-    constructor() {
-        this.cursor = document.getElementById('cursor');
-        this.cursorInner = this.cursor?.querySelector('.cursor-inner');
-        this.cursorOuter = this.cursor?.querySelector('.cursor-outer');
-        this.isVisible = false;
+// Portfolio filter - narrows, searches and sorts the project grid
+class PortfolioFilter {
+    constructor(portfolio) {
+        this.portfolio = portfolio;
+        this.container = document.getElementById('portfolio-filters');
+        this.searchInput = document.getElementById('portfolio-search');
+        this.statusSelect = document.getElementById('portfolio-status');
+        this.sortSelect = document.getElementById('portfolio-sort');
+        this.chipContainer = document.getElementById('portfolio-chips');
+        this.emptyMessage = document.getElementById('portfolio-empty');
+        this.state = {
+            tech: new Set(),
+            status: '',
+            query: '',
+            sort: 'featured'
+        };
+        this.abortController = new AbortController();
         
-        if (this.cursor && !appState.isMobile) {
+        if (this.container && this.portfolio?.grid) {
             this.init();
         }
     }
 
     init() {
+        this.renderControls();
+        this.readFromURL();
         this.setupEventListeners();
+        this.apply({ animate: false });
+    }
+
+    getTechList() {
+        const tech = new Set();
+        this.portfolio.projects.forEach(project => project.tech.forEach(item => tech.add(item)));
+        return [...tech].sort((a, b) => a.localeCompare(b));
+    }
+
+    getStatusList() {
+        // Catalog order doubles as the status sort order
+        return [...new Set(this.portfolio.projects.map(project => project.status).filter(Boolean))];
+    }
+
+    renderControls() {
+        if (this.chipContainer) {
+            this.chipContainer.innerHTML = this.getTechList()
+                .map(tech => `<button type="button" class="filter-chip" data-tech="${Utils.escapeHTML(tech)}" aria-pressed="false">${Utils.escapeHTML(tech)}</button>`)
+                .join('');
+        }
+        
+        if (this.statusSelect) {
+            // Keeps the markup's "any status" option when rendered again after a new bootstrap()
+            this.statusSelect.querySelectorAll('option:not([value=""])').forEach(option => option.remove());
+            this.getStatusList().forEach(status => {
+                const option = document.createElement('option');
+                option.value = status;
+                option.textContent = status;
+                this.statusSelect.appendChild(option);
+            });
+        }
     }
 
     setupEventListeners() {
-        document.addEventListener('mousemove', this.onMouseMove.bind(this));
-        document.addEventListener('mouseenter', this.show.bind(this));
-        document.addEventListener('mouseleave', this.hide.bind(this));
+        const { signal } = this.abortController;
+        this.chipContainer?.addEventListener('click', (e) => {
+            const chip = e.target.closest('.filter-chip');
+            if (!chip) return;
+            
+            const tech = chip.getAttribute('data-tech');
+            if (this.state.tech.has(tech)) {
+                this.state.tech.delete(tech);
+            } else {
+                this.state.tech.add(tech);
+            }
+            this.update();
+        }, { signal });
         
-        const interactiveElements = document.querySelectorAll('a, button, .service-card, .project-card, .member-card, .nav-link');
+        this.statusSelect?.addEventListener('change', () => {
+            this.state.status = this.statusSelect.value;
+            this.update();
+        }, { signal });
         
-        interactiveElements.forEach(element => {
-            element.addEventListener('mouseenter', () => this.cursor?.classList.add('hover'));
-            element.addEventListener('mouseleave', () => this.cursor?.classList.remove('hover'));
-        });
+        this.sortSelect?.addEventListener('change', () => {
+            this.state.sort = this.sortSelect.value;
+            this.update();
+        }, { signal });
+        
+        this.searchInput?.addEventListener('input', Utils.debounce(() => {
+            this.state.query = this.searchInput.value.trim();
+            this.update();
+        }, 200), { signal });
     }
 
-    onMouseMove(e) {
-        if (!this.isVisible) this.show();
+    dispose() {
+        this.abortController.abort();
+    }
+
+    readFromURL() {
+        const params = new URLSearchParams(window.location.search);
+        const knownTech = this.getTechList();
         
-        const x = e.clientX;
-        const y = e.clientY;
+        (params.get('tech') || '').split(',').forEach(tech => {
+            if (knownTech.includes(tech)) {
+                this.state.tech.add(tech);
+            }
+        });
         
-        appState.updateMousePosition(x, y);
+        const status = params.get('status') || '';
+        this.state.status = this.getStatusList().includes(status) ? status : '';
+        this.state.query = params.get('q') || '';
         
-        requestAnimationFrame(() => {
-            if (this.cursorInner) {
-                this.cursorInner.style.transform = `translate(${x}px, ${y}px)`;
-            }
-            if (this.cursorOuter) {
-                this.cursorOuter.style.transform = `translate(${x}px, ${y}px)`;
+        const sort = params.get('sort');
+        this.state.sort = ['featured', 'title', 'status'].includes(sort) ? sort : 'featured';
+        
+        this.syncControls();
+    }
+
+    writeToURL() {
+        const params = new URLSearchParams(window.location.search);
+        const values = {
+            tech: [...this.state.tech].join(','),
+            status: this.state.status,
+            q: this.state.query,
+            sort: this.state.sort === 'featured' ? '' : this.state.sort
+        };
+        
+        Object.entries(values).forEach(([key, value]) => {
+            if (value) {
+                params.set(key, value);
+            } else {
+                params.delete(key);
             }
         });
+        
+        const query = params.toString();
+        const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+        history.replaceState(history.state, '', url);
     }
 
-    show() {
-        this.isVisible = true;
-        if (this.cursor) {
-            this.cursor.style.opacity = '1';
+    syncControls() {
+        this.chipContainer?.querySelectorAll('.filter-chip').forEach(chip => {
+            const isActive = this.state.tech.has(chip.getAttribute('data-tech'));
+            chip.classList.toggle('active', isActive);
+            chip.setAttribute('aria-pressed', String(isActive));
+        });
+        
+        if (this.statusSelect) this.statusSelect.value = this.state.status;
+        if (this.sortSelect) this.sortSelect.value = this.state.sort;
+        if (this.searchInput && this.searchInput.value.trim() !== this.state.query) {
+            this.searchInput.value = this.state.query;
         }
     }
 
-    hide() {
-        this.isVisible = false;
-        if (this.cursor) {
-            this.cursor.style.opacity = '0';
+    update() {
+        this.syncControls();
+        this.writeToURL();
+        this.apply();
+    }
+
+    matches(project) {
+        const { tech, status, query } = this.state;
+        
+        if (status && project.status !== status) return false;
+        if ([...tech].some(item => !project.tech.includes(item))) return false;
+        
+        if (query) {
+            const haystack = [project.title, project.description, project.status, ...project.tech]
+                .join(' ')
+                .toLowerCase();
+            return query.toLowerCase().split(/\s+/).every(term => haystack.includes(term));
         }
+        
+        return true;
     }
-}
 
-// Enhanced Navigation manager
-class NavigationManager {
-    constructor() {
-        this.navbar = document.getElementById('navbar');
-        this.navLinks = document.querySelectorAll('.nav-link');
-        this.navToggle = document.getElementById('nav-toggle');
-        this.navMenu = document.getElementById('nav-menu');
-        this.sections = document.querySelectorAll('.section, .hero');
-        this.backToTop = document.getElementById('back-to-top');
-        this.currentSection = 'home';
-        this.isMenuOpen = false;
+    sortEntries(entries) {
+        const sorted = [...entries];
+        
+        if (this.state.sort === 'title') {
+            sorted.sort((a, b) => a.project.title.localeCompare(b.project.title));
+        } else if (this.state.sort === 'status') {
+            const order = this.getStatusList();
+            sorted.sort((a, b) => order.indexOf(a.project.status) - order.indexOf(b.project.status));
+        }
         
-        this.init();
+        return sorted;
     }
 
-    init() {
-        this.setupEventListeners();
-        this.updateActiveLink();
-        this.setupSocialLinks();
+    apply({ animate = !appState.isReducedMotion } = {}) {
+        const entries = this.sortEntries(this.portfolio.entries);
+        let visibleCount = 0;
+        
+        entries.forEach(entry => {
+            this.portfolio.grid.appendChild(entry.card);
+            
+            if (this.matches(entry.project)) {
+                visibleCount++;
+                this.showCard(entry, animate);
+            } else {
+                this.hideCard(entry, animate);
+            }
+        });
+        
+        this.emptyMessage?.classList.toggle('hidden', visibleCount > 0);
     }
 
-    setupEventListeners() {
-        // Smooth scrolling for navigation links
-        this.navLinks.forEach(link => {
-            link.addEventListener('click', (e) => {
-                e.preventDefault();
-                const targetId = link.getAttribute('href').substring(1);
-                this.scrollToSection(targetId);
-                this.closeMenu();
-            });
-        });
+    showCard(entry, animate) {
+        const { card } = entry;
+        if (!entry.isFilteredOut) return;
+        
+        entry.isFilteredOut = false;
+        card.classList.remove('is-filtered-out', 'animate-fade-out-down');
+        
+        if (animate) {
+            // Restart the entrance animation
+            card.classList.remove('animate-fade-in-up');
+            void card.offsetWidth;
+            card.classList.add('animate-fade-in-up');
+        }
+        
+        this.getScene(entry)?.resume();
+    }
 
-        // Mobile menu toggle
-        if (this.navToggle) {
-            this.navToggle.addEventListener('click', (e) => {
-                e.preventDefault();
-                e.stopPropagation();
-                this.toggleMenu();
-            });
+    hideCard(entry, animate) {
+        const { card } = entry;
+        if (entry.isFilteredOut) return;
+        
+        entry.isFilteredOut = true;
+        this.getScene(entry)?.suspend();
+        
+        if (!animate) {
+            card.classList.add('is-filtered-out');
+            return;
         }
+        
+        card.classList.remove('animate-fade-in-up');
+        card.classList.add('animate-fade-out-down');
+        card.addEventListener('animationend', () => {
+            if (entry.isFilteredOut) {
+                card.classList.add('is-filtered-out');
+            }
+            card.classList.remove('animate-fade-out-down');
+        }, { once: true });
+    }
 
-        // Close menu when clicking outside
-        document.addEventListener('click', (e) => {
-            if (this.isMenuOpen && !this.navbar.contains(e.target)) {
-                this.closeMenu();
+    getScene(entry) {
+        return appState.getScene(`project-${entry.project.id}`);
+    }
+
+    // Scenes are created after the managers, so hidden cards pause theirs once they exist
+    syncScenes() {
+        this.portfolio.entries.forEach(entry => {
+            if (entry.isFilteredOut) {
+                this.getScene(entry)?.suspend();
             }
         });
+    }
+}
 
-        // Scroll events
-        window.addEventListener('scroll', Utils.throttle(() => {
-            this.updateNavbarStyle();
-            this.updateActiveLink();
-            this.updateBackToTop();
-        }, 100));
-
-        // Back to top button
-        if (this.backToTop) {
-            this.backToTop.addEventListener('click', (e) => {
-                e.preventDefault();
-                window.scrollTo({
-                    top: 0,
-                    behavior: 'smooth'
-                });
-            });
+// Project detail view - case study dialog routed at #portfolio/<id>
+class ProjectDetailView {
+    constructor(portfolio, navigation) {
+        this.portfolio = portfolio;
+        this.navigation = navigation;
+        this.element = document.getElementById('project-detail');
+        this.body = document.getElementById('project-detail-body');
+        this.closeButton = this.element?.querySelector('.project-detail-close');
+        this.currentProjectId = null;
+        this.returnFocus = null;
+        this.isOpen = false;
+        this.abortController = new AbortController();
+        
+        if (this.element && this.portfolio?.grid && this.navigation) {
+            this.init();
         }
+    }
 
-        // Footer links
-        document.querySelectorAll('.footer-link').forEach(link => {
-            link.addEventListener('click', (e) => {
-                const href = link.getAttribute('href');
-                if (href && href.startsWith('#')) {
-                    e.preventDefault();
-                    const targetId = href.substring(1);
-                    this.scrollToSection(targetId);
-                }
-            });
+    init() {
+        this.setupEventListeners();
+        this.navigation.addRouteHandler('portfolio', (projectId) => {
+            if (projectId) {
+                this.open(projectId);
+            } else {
+                this.close();
+            }
         });
     }
 
-    setupSocialLinks() {
-        // Setup all social media links to open in new tabs
-        const socialLinks = document.querySelectorAll('a[href*="linkedin.com"], a[href*="github.com"], a[href*="mohammadgulamrabbani.github.io"]');
+    setupEventListeners() {
+        const { signal } = this.abortController;
+        this.portfolio.grid.addEventListener('click', (e) => {
+            // Let project links open normally
+            if (e.target.closest('a')) return;
+            
+            const card = e.target.closest('.project-card');
+            if (card) {
+                this.navigation.navigate(`portfolio/${encodeURIComponent(card.getAttribute('data-project'))}`);
+            }
+        }, { signal });
         
-        socialLinks.forEach(link => {
-            link.addEventListener('click', (e) => {
+        this.portfolio.grid.addEventListener('keydown', (e) => {
+            const card = e.target.closest('.project-card');
+            if (card && e.target === card && (e.key === 'Enter' || e.key === ' ')) {
                 e.preventDefault();
-                const url = link.getAttribute('href');
-                if (url) {
-                    window.open(url, '_blank', 'noopener,noreferrer');
-                }
-            });
-        });
+                card.click();
+            }
+        }, { signal });
+        
+        this.element.addEventListener('click', (e) => {
+            if (e.target.closest('[data-detail-close]')) {
+                this.requestClose();
+            }
+        }, { signal });
+        
+        this.element.addEventListener('keydown', this.trapFocus.bind(this), { signal });
     }
 
-    toggleMenu() {
-        this.isMenuOpen = !this.isMenuOpen;
-        
-        if (this.navMenu) {
-            this.navMenu.classList.toggle('active');
+    open(projectId) {
+        const project = this.portfolio.getEntry(projectId)?.project;
+        if (!project) {
+            console.warn(`Unknown project: ${projectId}`);
+            this.navigation.exitSubRoute();
+            return;
         }
         
-        if (this.navToggle) {
-            this.navToggle.classList.toggle('active');
+        if (this.isOpen && this.currentProjectId === projectId) return;
+        
+        if (!this.isOpen) {
+            this.returnFocus = document.activeElement;
         }
         
-        // Prevent body scroll when menu is open
-        document.body.style.overflow = this.isMenuOpen ? 'hidden' : 'auto';
+        this.render(project);
+        this.currentProjectId = projectId;
+        this.isOpen = true;
+        this.element.classList.remove('hidden');
+        appState.setScrollLock('project-detail', true);
+        this.closeButton?.focus();
     }
 
-    closeMenu() {
-        this.isMenuOpen = false;
-        
-        if (this.navMenu) {
-            this.navMenu.classList.remove('active');
-        }
+    close() {
+        if (!this.isOpen) return;
         
-        if (this.navToggle) {
-            this.navToggle.classList.remove('active');
-        }
+        this.isOpen = false;
+        this.currentProjectId = null;
+        this.element.classList.add('hidden');
+        appState.setScrollLock('project-detail', false);
         
-        document.body.style.overflow = 'auto';
+        this.returnFocus?.focus?.();
+        this.returnFocus = null;
     }
 
-    scrollToSection(sectionId) {
-        const section = document.getElementById(sectionId);
-        if (section) {
-            const offsetTop = section.offsetTop - 80;
-            
-            window.scrollTo({
-                top: offsetTop,
-                behavior: 'smooth'
-            });
-            
-            appState.setCurrentSection(sectionId);
+    // Closing goes through the router so the URL and history stay in sync
+    requestClose() {
+        if (this.isOpen) {
+            this.navigation.exitSubRoute();
         }
     }
 
-    updateNavbarStyle() {
-        const scrollY = window.scrollY;
+    render(project) {
+        const details = project.details || {};
+        const overview = (details.overview || [project.description])
+            .map(paragraph => `<p class="project-detail-text">${Utils.escapeHTML(paragraph)}</p>`)
+            .join('');
+        const highlights = (details.highlights || [])
+            .map(item => `<li>${Utils.escapeHTML(item)}</li>`)
+            .join('');
+        const screenshots = (details.screenshots || [])
+            .map(shot => `
+                <figure class="project-detail-shot">
+                    <img src="${Utils.escapeHTML(shot.src)}" alt="${Utils.escapeHTML(shot.alt || '')}" loading="lazy">
+                    ${shot.caption ? `<figcaption>${Utils.escapeHTML(shot.caption)}</figcaption>` : ''}
+                </figure>
+            `)
+            .join('');
+        const tech = project.tech
+            .map(item => `<span class="tech-badge">${Utils.escapeHTML(item)}</span>`)
+            .join('');
+        const links = project.links
+            .map(link => `<a href="${Utils.escapeHTML(link.url)}" class="btn btn-primary project-detail-link" target="_blank" rel="noopener noreferrer">${Utils.escapeHTML(link.label)}</a>`)
+            .join('');
         
-        if (scrollY > 100) {
-            this.navbar?.classList.add('scrolled');
-        } else {
-            this.navbar?.classList.remove('scrolled');
-        }
+        this.body.innerHTML = `
+            ${project.status ? `<div class="project-status">${Utils.escapeHTML(project.status)}</div>` : ''}
+            <h2 class="project-detail-title" id="project-detail-title">${Utils.escapeHTML(project.title)}</h2>
+            <p class="project-detail-lead">${Utils.escapeHTML(project.description)}</p>
+            ${overview}
+            ${highlights ? `<h3 class="project-detail-heading">Highlights</h3><ul class="project-detail-list">${highlights}</ul>` : ''}
+            ${screenshots ? `<div class="project-detail-gallery">${screenshots}</div>` : ''}
+            <h3 class="project-detail-heading">Technology</h3>
+            <div class="project-tech">${tech}</div>
+            ${links ? `<div class="project-detail-links">${links}</div>` : ''}
+        `;
     }
 
-    updateBackToTop() {
-        const scrollY = window.scrollY;
+    trapFocus(e) {
+        if (e.key !== 'Tab') return;
         
-        if (scrollY > 500) {
-            this.backToTop?.classList.remove('hidden');
-        } else {
-            this.backToTop?.classList.add('hidden');
-        }
-    }
-
-    updateActiveLink() {
-        let currentSection = 'home';
+        const focusable = this.element.querySelectorAll('a[href], button:not([disabled]), [tabindex]:not([tabindex="-1"])');
+        if (!focusable.length) return;
         
-        this.sections.forEach(section => {
-            const sectionTop = section.offsetTop - 150;
-            const sectionBottom = sectionTop + section.offsetHeight;
-            
-            if (window.scrollY >= sectionTop && window.scrollY < sectionBottom) {
-                currentSection = section.id;
-            }
-        });
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
         
-        if (currentSection !== this.currentSection) {
-            this.currentSection = currentSection;
-            appState.setCurrentSection(currentSection);
-            
-            this.navLinks.forEach(link => {
-                link.classList.remove('active');
-                if (link.getAttribute('href') === `#${currentSection}`) {
-                    link.classList.add('active');
-                }
-            });
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
         }
     }
+
+    dispose() {
+        this.close();
+        this.abortController.abort();
+    }
 }
 
-// Enhanced Animation manager
-class AnimationManager {
+// Performance HUD - live FPS, frame times, quality and per-scene stats (?debug or the ` key)
+class PerformanceHUD {
     constructor() {
-        this.observers = new Map();
+        this.element = null;
+        this.graph = null;
+        this.rows = new Map();
+        this.frameTimes = [];
+        this.maxSamples = 120;
+        this.updateInterval = null;
+        this.unsubscribe = null;
+        this.isOpen = false;
+        this.abortController = new AbortController();
+        
         this.init();
     }
 
     init() {
-        if (appState.isReducedMotion) return;
+        this.setupEventListeners();
         
-        this.setupScrollAnimations();
-        this.setupCounterAnimations();
-        this.setupProgressBarAnimations();
-        this.setupParallaxEffect();
+        const params = new URLSearchParams(window.location.search);
+        if (params.has('debug') || CONFIG.performance.enableStats) {
+            this.open();
+        }
     }
 
-    setupScrollAnimations() {
-        const animatedElements = document.querySelectorAll(
-            '.service-card, .tech-item, .project-card, .member-card, .info-item, .stat-card'
-        );
+    setupEventListeners() {
+        document.addEventListener('keydown', (e) => {
+            if (e.key !== '`' || e.ctrlKey || e.metaKey || e.altKey) return;
+            if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+            
+            this.toggle();
+        }, { signal: this.abortController.signal });
+    }
+
+    build() {
+        const element = document.createElement('aside');
+        element.className = 'perf-hud';
+        element.setAttribute('aria-label', 'Performance stats');
+        element.innerHTML = `
+            <div class="perf-hud-header">
+                <strong>Performance</strong>
+                <button type="button" class="perf-hud-close" aria-label="Close performance stats">×</button>
+            </div>
+            <div class="perf-hud-stats">
+                <span><b data-stat="fps">0</b> FPS</span>
+                <span><b data-stat="frame">0</b> ms</span>
+                <span>Quality <b data-stat="quality">1.00</b></span>
+                <span>Seed <b>${Utils.escapeHTML(Utils.getSeed())}</b></span>
+            </div>
+            <label class="perf-hud-time">
+                Time scale
+                <select data-time-scale>
+                    <option value="0">Freeze</option>
+                    <option value="0.25">0.25×</option>
+                    <option value="0.5">0.5×</option>
+                    <option value="1">1×</option>
+                    <option value="2">2×</option>
+                </select>
+            </label>
+            <canvas class="perf-hud-graph" width="240" height="60" aria-hidden="true"></canvas>
+            <table class="perf-hud-scenes">
+                <thead>
+                    <tr><th>Scene</th><th>State</th><th>ms</th><th>Particles</th><th></th></tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+        `;
         
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach((entry, index) => {
-                if (entry.isIntersecting) {
-                    setTimeout(() => {
-                        entry.target.classList.add('animate-fade-in-up');
-                    }, index * 100);
-                }
-            });
-        }, {
-            threshold: 0.1,
-            rootMargin: '-50px'
-        });
+        element.querySelector('.perf-hud-close').addEventListener('click', () => this.close());
         
-        animatedElements.forEach(element => {
-            observer.observe(element);
+        const timeScale = element.querySelector('[data-time-scale]');
+        timeScale.value = String(sceneScheduler.timeScale);
+        timeScale.addEventListener('change', () => sceneScheduler.setTimeScale(parseFloat(timeScale.value)));
+        element.querySelector('tbody').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-scene]');
+            const scene = button && appState.getScene(button.getAttribute('data-scene'));
+            if (scene) {
+                scene.setPaused(!scene.isPaused);
+                this.update();
+            }
         });
         
-        this.observers.set('scroll', observer);
+        document.body.appendChild(element);
+        this.element = element;
+        this.graph = element.querySelector('.perf-hud-graph').getContext('2d');
     }
 
-    setupCounterAnimations() {
-        const counters = document.querySelectorAll('.stat-number[data-target]');
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        if (this.isOpen) return;
         
-        const counterObserver = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    this.animateCounter(entry.target);
-                    counterObserver.unobserve(entry.target);
-                }
-            });
-        }, {
-            threshold: 0.5
-        });
+        if (!this.element) {
+            this.build();
+        }
         
-        counters.forEach(counter => {
-            counterObserver.observe(counter);
+        this.isOpen = true;
+        this.element.classList.remove('hidden');
+        this.unsubscribe = sceneScheduler.onFrame(frameTime => {
+            this.frameTimes.push(frameTime);
+            if (this.frameTimes.length > this.maxSamples) {
+                this.frameTimes.shift();
+            }
         });
-        
-        this.observers.set('counter', counterObserver);
+        // Text and graph refresh a few times a second; per-frame DOM updates would skew the numbers
+        this.updateInterval = setInterval(() => this.update(), 250);
+        this.update();
     }
 
-    setupProgressBarAnimations() {
-        const progressBars = document.querySelectorAll('.tech-progress[data-width]');
+    close() {
+        if (!this.isOpen) return;
         
-        const progressObserver = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    const width = entry.target.getAttribute('data-width');
-                    setTimeout(() => {
-                        entry.target.style.width = `${width}%`;
-                    }, 300);
-                    progressObserver.unobserve(entry.target);
-                }
-            });
-        }, {
-            threshold: 0.5
-        });
+        this.isOpen = false;
+        this.element.classList.add('hidden');
+        this.unsubscribe?.();
+        clearInterval(this.updateInterval);
+        this.frameTimes = [];
+    }
+
+    // The panel's own listeners go with its element
+    dispose() {
+        this.close();
+        this.abortController.abort();
+        this.element?.remove();
+    }
+
+    update() {
+        const lastFrame = this.frameTimes[this.frameTimes.length - 1] || 0;
         
-        progressBars.forEach(bar => {
-            progressObserver.observe(bar);
-        });
+        this.setStat('fps', performanceMonitor.getFPS());
+        this.setStat('frame', lastFrame.toFixed(1));
+        this.setStat('quality', `${performanceMonitor.getQualityLevel().toFixed(2)}${performanceMonitor.isLowPower ? ' (low power)' : ''}`);
         
-        this.observers.set('progress', progressObserver);
+        this.renderGraph();
+        this.updateScenes();
     }
 
-    setupParallaxEffect() {
-        const parallaxElements = document.querySelectorAll('.hero-canvas, .section');
+    setStat(name, value) {
+        const stat = this.element.querySelector(`[data-stat="${name}"]`);
+        if (stat) {
+            stat.textContent = value;
+        }
+    }
+
+    renderGraph() {
+        if (!this.graph) return;
         
-        window.addEventListener('scroll', Utils.throttle(() => {
-            const scrolled = window.pageYOffset;
-            
-            parallaxElements.forEach(element => {
-                const rate = scrolled * -0.5;
-                if (element.classList.contains('hero-canvas')) {
-                    element.style.transform = `translateY(${rate}px)`;
-                }
-            });
-        }, 16));
+        const { width, height } = this.graph.canvas;
+        // 50ms fills the graph; slower frames are clipped
+        const scale = height / 50;
+        const barWidth = width / this.maxSamples;
+        
+        this.graph.clearRect(0, 0, width, height);
+        
+        this.frameTimes.forEach((frameTime, i) => {
+            const barHeight = Math.min(height, frameTime * scale);
+            const budget = 1000 / CONFIG.performance.targetFPS;
+            this.graph.fillStyle = frameTime > budget * 2 ? '#ff5459' : frameTime > budget * 1.2 ? '#e68161' : '#32b8c6';
+            this.graph.fillRect(i * barWidth, height - barHeight, Math.max(1, barWidth - 1), barHeight);
+        });
+        
+        // Target frame time
+        const targetY = height - (1000 / CONFIG.performance.targetFPS) * scale;
+        this.graph.fillStyle = 'rgba(255, 255, 255, 0.4)';
+        this.graph.fillRect(0, targetY, width, 1);
     }
 
-    animateCounter(element) {
-        const target = parseInt(element.getAttribute('data-target'));
-        const duration = 2000;
-        const step = target / (duration / 16);
-        let current = 0;
+    updateScenes() {
+        const tbody = this.element.querySelector('tbody');
         
-        const timer = setInterval(() => {
-            current += step;
-            if (current >= target) {
-                current = target;
-                clearInterval(timer);
+        // Scenes can come and go, so rows are kept in sync by id
+        this.rows.forEach((row, id) => {
+            if (!appState.scenes.has(id)) {
+                row.remove();
+                this.rows.delete(id);
             }
-            element.textContent = Math.floor(current);
-        }, 16);
+        });
+        
+        appState.scenes.forEach((scene, id) => {
+            let row = this.rows.get(id);
+            if (!row) {
+                row = document.createElement('tr');
+                row.innerHTML = `
+                    <td>${Utils.escapeHTML(id)}</td>
+                    <td data-cell="state"></td>
+                    <td data-cell="time"></td>
+                    <td data-cell="particles"></td>
+                    <td><button type="button" class="perf-hud-toggle" data-scene="${Utils.escapeHTML(id)}"></button></td>
+                `;
+                tbody.appendChild(row);
+                this.rows.set(id, row);
+            }
+            
+            row.querySelector('[data-cell="state"]').textContent = this.getSceneState(scene);
+            // Worker scenes are timed in the worker, not here
+            row.querySelector('[data-cell="time"]').textContent = scene.worker ? '-' : scene.stats.renderTime.toFixed(2);
+            row.querySelector('[data-cell="particles"]').textContent = scene.worker ? '-' : scene.getParticleCount();
+            
+            const button = row.querySelector('button');
+            button.textContent = scene.isPaused ? 'Resume' : 'Pause';
+            button.setAttribute('aria-label', `${scene.isPaused ? 'Resume' : 'Pause'} ${id}`);
+        });
     }
 
-    dispose() {
-        this.observers.forEach(observer => observer.disconnect());
+    getSceneState(scene) {
+        const location = scene.worker ? ' (worker)' : scene.isWebGL ? ' (webgl)' : '';
+        
+        // Worker scenes stop themselves in the worker, so check before isRunning
+        if (scene.isStill && scene.canRun()) return `still${location}`;
+        if (scene.isRunning) return `running${location}`;
+        if (scene.isPaused) return 'paused';
+        if (scene.isSuspended) return 'filtered';
+        if (scene.isOutOfView) return 'off-screen';
+        return `stopped${location}`;
     }
 }
 
-// Enhanced Form manager
-class FormManager {
+// Per-canvas menu for saving a scene as a PNG or a short WebM clip
+class SceneExportMenu {
     constructor() {
-        this.form = document.getElementById('contact-form');
-        this.inputs = this.form?.querySelectorAll('.form-control');
+        // { element, toggle, menu } by scene id
+        this.menus = new Map();
+        this.openEntry = null;
+        this.abortController = new AbortController();
         
-        if (this.form) {
+        if (CONFIG.export.menu) {
             this.init();
         }
     }
@@ -1205,161 +5455,170 @@ class FormManager {
     }
 
     setupEventListeners() {
-        if (this.form) {
-            this.form.addEventListener('submit', this.handleSubmit.bind(this));
-        }
+        const { signal } = this.abortController;
+        document.addEventListener('click', (e) => {
+            if (this.openEntry && !this.openEntry.element.contains(e.target)) {
+                this.close();
+            }
+        }, { signal });
         
-        if (this.inputs) {
-            this.inputs.forEach(input => {
-                input.addEventListener('focus', this.handleFocus.bind(this));
-                input.addEventListener('blur', this.handleBlur.bind(this));
-                input.addEventListener('input', this.handleInput.bind(this));
-            });
-        }
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.openEntry) {
+                const toggle = this.openEntry.toggle;
+                this.close();
+                toggle.focus();
+            }
+        }, { signal });
     }
 
-    handleFocus(e) {
-        const formGroup = e.target.closest('.form-group');
-        formGroup?.classList.add('focused');
+    // Menus are detached with their scenes; this removes the page-wide listeners
+    dispose() {
+        [...this.menus.keys()].forEach(id => this.detach(id));
+        this.abortController.abort();
     }
 
-    handleBlur(e) {
-        const formGroup = e.target.closest('.form-group');
-        if (!e.target.value) {
-            formGroup?.classList.remove('focused');
+    attach(id, scene) {
+        const parent = scene.canvas?.parentElement;
+        if (!CONFIG.export.menu || !parent || this.menus.has(id)) return;
+        
+        const element = document.createElement('div');
+        element.className = 'scene-export';
+        element.innerHTML = `
+            <button type="button" class="scene-export-toggle" aria-expanded="false" aria-haspopup="true" aria-label="Export ${Utils.escapeHTML(id)} visual" title="Export">⤓</button>
+            <div class="scene-export-menu" hidden>
+                ${CONFIG.export.scales.map(scale => `<button type="button" data-export="png" data-value="${scale}">PNG ${scale}×</button>`).join('')}
+                ${CONFIG.export.durations.map(seconds => `<button type="button" data-export="webm" data-value="${seconds}">WebM ${seconds}s</button>`).join('')}
+            </div>
+        `;
+        
+        // The menu is positioned against the canvas's container
+        if (window.getComputedStyle(parent).position === 'static') {
+            parent.classList.add('scene-export-host');
         }
+        parent.appendChild(element);
+        // Scene canvases can sit inside clickable cards, which mustn't react to the menu
+        element.addEventListener('click', (e) => e.stopPropagation());
+        
+        const entry = {
+            scene,
+            element,
+            toggle: element.querySelector('.scene-export-toggle'),
+            menu: element.querySelector('.scene-export-menu')
+        };
+        
+        entry.toggle.addEventListener('click', () => {
+            if (this.openEntry === entry) {
+                this.close();
+            } else {
+                this.open(entry);
+            }
+        });
+        
+        entry.menu.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-export]');
+            if (!button) return;
+            
+            this.close();
+            this.export(id, scene, entry, button.dataset.export, Number(button.dataset.value));
+        });
+        
+        this.menus.set(id, entry);
     }
 
-    handleInput(e) {
-        const formGroup = e.target.closest('.form-group');
-        if (e.target.value) {
-            formGroup?.classList.add('has-value');
-        } else {
-            formGroup?.classList.remove('has-value');
+    // Moves the menu along when a scene's new canvas sits in a different container
+    reattach(id, scene) {
+        const entry = this.menus.get(id);
+        if (entry?.element.parentElement === scene.canvas?.parentElement) return;
+        
+        this.detach(id);
+        this.attach(id, scene);
+    }
+
+    detach(id) {
+        const entry = this.menus.get(id);
+        if (!entry) return;
+        
+        if (this.openEntry === entry) {
+            this.close();
         }
+        entry.element.remove();
+        this.menus.delete(id);
     }
 
-    handleSubmit(e) {
-        e.preventDefault();
+    open(entry) {
+        this.close();
         
-        const submitBtn = this.form.querySelector('.form-submit');
-        const originalText = submitBtn?.querySelector('.btn-text')?.textContent || 'Send Message';
+        // PNG sizes past the browser's canvas limit for the scene's current size are greyed out
+        const maxScale = entry.scene.getMaxExportScale();
+        entry.menu.querySelectorAll('[data-export="png"]').forEach(button => {
+            button.disabled = Number(button.dataset.value) > maxScale;
+        });
         
-        if (submitBtn) {
-            submitBtn.disabled = true;
-            const btnText = submitBtn.querySelector('.btn-text');
-            if (btnText) {
-                btnText.textContent = 'Sending...';
-            }
-        }
+        entry.menu.hidden = false;
+        entry.toggle.setAttribute('aria-expanded', 'true');
+        entry.element.classList.add('open');
+        this.openEntry = entry;
+    }
+
+    close() {
+        if (!this.openEntry) return;
         
-        // Simulate form submission
-        setTimeout(() => {
-            if (submitBtn) {
-                submitBtn.disabled = false;
-                const btnText = submitBtn.querySelector('.btn-text');
-                if (btnText) {
-                    btnText.textContent = originalText;
-                }
-            }
-            
-            this.showSuccessMessage();
-            this.form.reset();
-            
-            // Remove focused states
-            this.inputs?.forEach(input => {
-                const formGroup = input.closest('.form-group');
-                formGroup?.classList.remove('focused', 'has-value');
-            });
-        }, 2000);
+        const { menu, toggle, element } = this.openEntry;
+        menu.hidden = true;
+        toggle.setAttribute('aria-expanded', 'false');
+        element.classList.remove('open');
+        this.openEntry = null;
     }
 
-    showSuccessMessage() {
-        const message = document.createElement('div');
-        message.className = 'success-message';
-        message.style.cssText = `
-            position: fixed;
-            top: 20px;
-            right: 20px;
-            background: linear-gradient(45deg, rgba(50, 184, 198, 0.95), rgba(50, 184, 198, 0.8));
-            color: white;
-            padding: 16px 24px;
-            border-radius: 12px;
-            z-index: 10000;
-            font-family: 'Rajdhani', sans-serif;
-            font-size: 16px;
-            font-weight: 500;
-            backdrop-filter: blur(10px);
-            border: 1px solid rgba(50, 184, 198, 0.5);
-            box-shadow: 0 8px 32px rgba(50, 184, 198, 0.3);
-            animation: slideInSuccess 0.5s cubic-bezier(0.16, 1, 0.3, 1);
-            max-width: 300px;
-        `;
-        message.innerHTML = `
-            <div style="display: flex; align-items: center; gap: 12px;">
-                <div style="font-size: 20px;">✅</div>
-                <div>
-                    <div style="font-weight: 600; margin-bottom: 4px;">Message Sent!</div>
-                    <div style="font-size: 14px; opacity: 0.9;">I'll get back to you soon.</div>
-                </div>
-            </div>
-        `;
+    export(id, scene, entry, format, value) {
+        const isVideo = format === 'webm';
+        const result = isVideo
+            ? scene.recordVideo({ duration: value })
+            : scene.exportImage({ scale: value });
         
-        // Add animation styles if not already present
-        if (!document.getElementById('success-animation-styles')) {
-            const style = document.createElement('style');
-            style.id = 'success-animation-styles';
-            style.textContent = `
-                @keyframes slideInSuccess {
-                    from { 
-                        transform: translateX(100%) translateY(-20px); 
-                        opacity: 0;
-                        scale: 0.8;
-                    }
-                    to { 
-                        transform: translateX(0) translateY(0); 
-                        opacity: 1;
-                        scale: 1;
-                    }
-                }
-                @keyframes slideOutSuccess {
-                    from { 
-                        transform: translateX(0) translateY(0); 
-                        opacity: 1;
-                        scale: 1;
-                    }
-                    to { 
-                        transform: translateX(100%) translateY(-20px); 
-                        opacity: 0;
-                        scale: 0.8;
-                    }
-                }
-            `;
-            document.head.appendChild(style);
-        }
+        // Recording takes a few seconds; the busy toggle shows it's under way
+        entry.toggle.disabled = true;
+        entry.element.classList.add('busy');
         
-        document.body.appendChild(message);
+        result
+            .then(blob => this.download(blob, isVideo ? `${id}-${value}s.webm` : `${id}@${value}x.png`))
+            .catch(error => console.error(`Couldn't export ${id}:`, error))
+            .finally(() => {
+                entry.toggle.disabled = false;
+                entry.element.classList.remove('busy');
+            });
+    }
+
+    download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `futureai-${filename}`;
+        link.click();
         
-        setTimeout(() => {
-            message.style.animation = 'slideOutSuccess 0.5s cubic-bezier(0.16, 1, 0.3, 1) forwards';
-            setTimeout(() => {
-                message.remove();
-            }, 500);
-        }, 4000);
+        // Revoked later, since some browsers start the download asynchronously
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     }
 }
 
 // Main application class
 class App {
-    constructor() {
+    // `root` is the document or element whose <canvas data-scene> elements get scenes. It only
+    // scopes scenes: the managers work on the page's own sections wherever it is.
+    constructor({ root = document } = {}) {
+        this.root = root;
         this.scenes = new Map();
         this.managers = new Map();
         this.isInitialized = false;
+        this.abortController = new AbortController();
+        // Unsubscribe functions from the page-wide managers' onChange()
+        this.subscriptions = [];
     }
 
-    static async init() {
-        const app = new App();
+    static async init(options) {
+        const app = new App(options);
         await app.initialize();
+        return app;
     }
 
     async initialize() {
@@ -1369,78 +5628,151 @@ class App {
         
         this.initializeManagers();
         this.initializeScenes();
+        this.managers.get('portfolioFilter')?.syncScenes();
         this.setupEventListeners();
+        this.observeSceneStyles();
+        this.observeSceneVisibility();
+        this.observeSceneCanvasChanges();
+        this.observeQuality();
+        this.observeMotion();
+        this.managers.get('navigation')?.handleRoute({ scroll: true });
         
         this.isInitialized = true;
         console.log('Future AI Tech Application initialized successfully!');
     }
 
     initializeManagers() {
+        if (themeManager) {
+            this.managers.set('theme', themeManager);
+        }
+        // Portfolio renders project cards, so it must run before managers that query them
+        const portfolio = new PortfolioManager(PROJECTS);
+        this.managers.set('portfolio', portfolio);
+        this.managers.set('portfolioFilter', new PortfolioFilter(portfolio));
         this.managers.set('cursor', new CursorManager());
-        this.managers.set('navigation', new NavigationManager());
+        const navigation = new NavigationManager();
+        this.managers.set('navigation', navigation);
+        this.managers.set('projectDetail', new ProjectDetailView(portfolio, navigation));
         this.managers.set('animation', new AnimationManager());
         this.managers.set('form', new FormManager());
+        this.managers.set('hud', new PerformanceHUD());
+        this.managers.set('export', new SceneExportMenu());
     }
 
-    initializeScenes() {
-        // Hero scene
-        const heroCanvas = document.getElementById('hero-canvas');
-        if (heroCanvas) {
-            const heroScene = new HeroScene(heroCanvas);
-            this.scenes.set('hero', heroScene);
-        }
+    addScene(id, scene) {
+        scene.setQuality(performanceMonitor.getQualityLevel());
+        this.scenes.set(id, scene);
+        appState.addScene(id, scene);
+        this.managers.get('export')?.attach(id, scene);
+    }
 
-        // About hologram scene
-        const aboutCanvas = document.getElementById('about-canvas');
-        if (aboutCanvas) {
-            const aboutScene = new CanvasScene(aboutCanvas, 'hologram');
-            this.scenes.set('about', aboutScene);
+    removeScene(id) {
+        const scene = this.scenes.get(id);
+        if (!scene) return;
+        
+        if (this.visibilityObserver && scene.canvas) {
+            this.visibilityObserver.unobserve(scene.canvas);
+            this.scenesByCanvas.delete(scene.canvas);
         }
+        
+        scene.dispose();
+        this.scenes.delete(id);
+        appState.removeScene(id);
+        this.managers.get('export')?.detach(id);
+    }
 
-        // Tech network scene
-        const techCanvas = document.getElementById('tech-canvas');
-        if (techCanvas) {
-            const techScene = new CanvasScene(techCanvas, 'network');
-            this.scenes.set('tech', techScene);
-        }
+    // Every <canvas data-scene="type"> gets a scene; data-* attributes become its options
+    initializeScenes() {
+        this.bindScenes(this.root);
+        this.observeSceneCanvases();
+    }
 
-        // Footer network scene
-        const footerCanvas = document.getElementById('footer-canvas');
-        if (footerCanvas) {
-            const footerScene = new CanvasScene(footerCanvas, 'neural');
-            this.scenes.set('footer', footerScene);
-        }
+    bindScenes(root) {
+        root.querySelectorAll('canvas[data-scene]').forEach(canvas => this.bindScene(canvas));
+    }
 
-        // Service canvases
-        document.querySelectorAll('.service-canvas').forEach((canvas, index) => {
-            const types = ['particle', 'hologram', 'network', 'neural'];
-            const scene = new CanvasScene(canvas, types[index] || 'particle');
-            this.scenes.set(`service-${index}`, scene);
+    bindScene(canvas) {
+        if (!canvas.isConnected || this.isSceneCanvas(canvas)) return;
+        
+        const { scene: type, sceneId, ...attributes } = canvas.dataset;
+        const options = {};
+        Object.entries(attributes).forEach(([key, value]) => {
+            options[key] = this.parseSceneOption(value);
         });
+        
+        const id = sceneId || this.getSceneId(canvas);
+        // Keyed by id so a scene's layout doesn't depend on which scenes were created before it
+        const scene = createScene(type, canvas, { seed: id, ...options });
+        if (!scene) return;
+        
+        this.addScene(id, scene);
+        
+        // Scenes bound after startup need the same wiring the initial ones got
+        if (this.isInitialized) {
+            this.watchSceneVisibility(scene);
+            this.watchSceneStyles(scene);
+            this.managers.get('portfolioFilter')?.syncScenes();
+        }
+    }
 
-        // Project canvases
-        document.querySelectorAll('.project-canvas').forEach((canvas, index) => {
-            const scene = new CanvasScene(canvas, 'hologram');
-            this.scenes.set(`project-${index}`, scene);
-        });
+    // data-always-run (no value) is true; numbers and booleans are parsed, anything else stays a string
+    parseSceneOption(value) {
+        if (value === '' || value === 'true') return true;
+        if (value === 'false') return false;
+        if (value.trim() !== '' && !Number.isNaN(Number(value))) return Number(value);
+        return value;
+    }
 
-        // Avatar canvases
-        document.querySelectorAll('.avatar-canvas').forEach((canvas, index) => {
-            const scene = new CanvasScene(canvas, 'particle');
-            this.scenes.set(`avatar-${index}`, scene);
-        });
+    // "service-canvas-2" -> "service-2", "hero-canvas" -> "hero"
+    getSceneId(canvas) {
+        const base = canvas.id ? canvas.id.replace('-canvas', '') : `scene-${canvas.dataset.scene}`;
+        let id = base;
+        for (let i = 2; this.scenes.has(id); i++) {
+            id = `${base}-${i}`;
+        }
+        return id;
+    }
+
+    // Includes WebGL scenes' stand-in and set-aside canvases, which carry the same data-scene
+    isSceneCanvas(canvas) {
+        return [...this.scenes.values()].some(scene => scene.canvas === canvas || scene.glCanvas === canvas);
+    }
 
-        // Icon canvases
-        document.querySelectorAll('.icon-canvas').forEach((canvas, index) => {
-            const scene = new CanvasScene(canvas, 'network');
-            this.scenes.set(`icon-${index}`, scene);
+    // Binds canvases added to the page later and disposes scenes whose canvas is removed
+    observeSceneCanvases() {
+        const observer = new MutationObserver((mutations) => {
+            const hasRemovals = mutations.some(mutation => mutation.removedNodes.length);
+            
+            mutations.forEach(mutation => {
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType !== Node.ELEMENT_NODE) return;
+                    
+                    if (node.matches('canvas[data-scene]')) {
+                        this.bindScene(node);
+                    } else {
+                        this.bindScenes(node);
+                    }
+                });
+            });
+            
+            if (hasRemovals) {
+                this.scenes.forEach((scene, id) => {
+                    if (scene.canvas && !scene.canvas.isConnected) {
+                        this.removeScene(id);
+                    }
+                });
+            }
         });
+        
+        observer.observe(this.root, { childList: true, subtree: true });
+        this.canvasObserver = observer;
     }
 
     setupEventListeners() {
+        const { signal } = this.abortController;
         window.addEventListener('resize', Utils.debounce(() => {
             this.handleResize();
-        }, 300));
+        }, 300), { signal });
 
         document.addEventListener('visibilitychange', () => {
             if (document.hidden) {
@@ -1448,77 +5780,326 @@ class App {
             } else {
                 this.resumeAnimations();
             }
-        });
+        }, { signal });
 
         // Enhanced keyboard navigation
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
+                const projectDetail = this.managers.get('projectDetail');
+                if (projectDetail?.isOpen) {
+                    projectDetail.requestClose();
+                    return;
+                }
+                
                 this.managers.get('navigation')?.closeMenu();
             }
+        }, { signal });
+    }
+
+    // Theme switches and class/style changes can change --scene-* values, so scenes re-read them.
+    // Only the root and each scene canvas's own ancestors are watched, not the whole page, which
+    // churns its classes and styles constantly. Anything else that changes the properties (a
+    // stylesheet swap, say) should call refreshSceneStyles().
+    observeSceneStyles() {
+        if (themeManager) {
+            this.subscriptions.push(themeManager.onChange(() => this.refreshSceneStyles()));
+        }
+        
+        const observer = new MutationObserver(Utils.debounce(() => this.refreshSceneStyles(), 100));
+        observer.observe(document.documentElement, {
+            attributes: true,
+            attributeFilter: ['class', 'style', 'data-color-scheme']
+        });
+        this.styleObserver = observer;
+        this.scenes.forEach(scene => this.watchSceneStyles(scene));
+    }
+
+    // Custom properties inherit, so a change on the canvas or any element above it can matter
+    watchSceneStyles(scene) {
+        if (!this.styleObserver) return;
+        
+        for (let element = scene.canvas; element && element !== document.documentElement; element = element.parentElement) {
+            this.styleObserver.observe(element, {
+                attributes: true,
+                attributeFilter: ['class', 'style']
+            });
+        }
+    }
+
+    // Only scenes in (or near) the viewport animate
+    observeSceneVisibility() {
+        if (!('IntersectionObserver' in window)) return;
+        
+        this.scenesByCanvas = new Map();
+        this.visibilityObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                this.scenesByCanvas.get(entry.target)?.setOutOfView(!entry.isIntersecting);
+            });
+        }, {
+            rootMargin: CONFIG.performance.visibilityMargin
         });
+        
+        this.scenes.forEach(scene => this.watchSceneVisibility(scene));
+    }
+
+    // WebGL scenes swap canvases when their context is lost or restored, so the per-canvas
+    // wiring from addScene(), observeSceneVisibility() and observeSceneStyles() is redone for the new element
+    observeSceneCanvasChanges() {
+        document.addEventListener('scenecanvaschange', (e) => {
+            const { scene, previous } = e.detail;
+            const id = [...this.scenes.keys()].find(key => this.scenes.get(key) === scene);
+            if (!id) return;
+            
+            if (this.scenesByCanvas?.get(previous) === scene) {
+                this.visibilityObserver.unobserve(previous);
+                this.scenesByCanvas.delete(previous);
+                this.watchSceneVisibility(scene);
+            }
+            
+            this.watchSceneStyles(scene);
+            this.managers.get('export')?.reattach(id, scene);
+        }, { signal: this.abortController.signal });
+    }
+
+    watchSceneVisibility(scene) {
+        if (!this.visibilityObserver || !scene.canvas || scene.options.alwaysRun) return;
+        
+        this.scenesByCanvas.set(scene.canvas, scene);
+        this.visibilityObserver.observe(scene.canvas);
+    }
+
+    observeQuality() {
+        const powerToggle = document.getElementById('power-toggle');
+        const updateToggle = () => {
+            powerToggle?.setAttribute('aria-pressed', String(performanceMonitor.isLowPower));
+        };
+        
+        this.subscriptions.push(performanceMonitor.onChange(level => {
+            this.scenes.forEach(scene => scene.setQuality(level));
+            updateToggle();
+        }));
+        
+        powerToggle?.addEventListener('click', () => {
+            performanceMonitor.setLowPower(!performanceMonitor.isLowPower);
+            updateToggle();
+        }, { signal: this.abortController.signal });
+        
+        updateToggle();
+    }
+
+    observeMotion() {
+        if (!motionManager) return;
+        
+        this.subscriptions.push(motionManager.onChange(isReduced => {
+            this.scenes.forEach(scene => scene.setStill(isReduced));
+        }));
+    }
+
+    // Public: re-reads every scene's --scene-* properties
+    refreshSceneStyles() {
+        this.scenes.forEach(scene => scene.refreshStyle());
     }
 
     handleResize() {
-        appState.isMobile = window.innerWidth < CONFIG.breakpoints.mobile;
+        appState.updateBreakpoint(window.innerWidth);
         
         this.scenes.forEach(scene => {
-            if (scene.setupCanvas) {
-                scene.setupCanvas();
+            scene.setupCanvas();
+            // Resizing clears the canvas, so stopped and still scenes redraw their frame
+            if (!scene.isRunning) {
+                scene.draw();
             }
         });
     }
 
     pauseAnimations() {
-        this.scenes.forEach(scene => {
-            if (scene.stop) {
-                scene.stop();
-            }
-        });
+        this.scenes.forEach(scene => scene.stop());
     }
 
     resumeAnimations() {
         this.scenes.forEach(scene => {
-            if (scene.start) {
+            if (scene.canRun()) {
                 scene.start();
             }
         });
     }
+
+    // Disposes every scene and the managers it created, and stops watching the page
+    destroy() {
+        [...this.scenes.keys()].forEach(id => this.removeScene(id));
+        this.canvasObserver?.disconnect();
+        this.visibilityObserver?.disconnect();
+        this.styleObserver?.disconnect();
+        this.abortController.abort();
+        this.subscriptions.forEach(unsubscribe => unsubscribe());
+        this.subscriptions = [];
+        
+        // themeManager is shared and belongs to bootstrap()
+        this.managers.forEach(manager => {
+            if (manager !== themeManager) {
+                manager.dispose?.();
+            }
+        });
+        this.managers.clear();
+        this.isInitialized = false;
+    }
 }
 
-// Initialize application when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-    console.log('DOM loaded, starting Future AI Tech application...');
+let bootstrapHandle = null;
+
+// Starts the site once the DOM is ready: loads the configuration layers (see loadConfig), creates
+// the page-wide managers and initializes the App behind the loading screen. Returns
+// { app, ready, destroy }, where `ready` resolves with the App once the loading screen has gone.
+// Calling it again returns the same handle until destroy() has run. `root` only scopes scene
+// binding (see App).
+function bootstrap({ root = document, config = {} } = {}) {
+    if (bootstrapHandle) return bootstrapHandle;
+    
+    const app = new App({ root });
+    let initialized = null;
+    let onLoaded = null;
+    // Rejects with initialize()'s error; the loading screen still leaves so the page is usable
+    const ready = new Promise((resolve, reject) => {
+        onLoaded = () => initialized.then(() => resolve(app), reject);
+    });
+    // This call's managers, so a stale handle's destroy() can't dispose a later bootstrap()'s
+    const managers = [];
     
-    document.body.style.overflow = 'hidden';
+    // For the inline onclick handlers in index.html
+    window.scrollToSection = scrollToSection;
     
-    let progress = 0;
-    const loadingInterval = setInterval(() => {
-        progress += Math.random() * 15 + 5;
-        loadingManager.updateProgress(Math.min(progress, 100));
+    const onError = (e) => {
+        console.error('Application Error:', e.error);
+    };
+    const onRejection = (e) => {
+        console.error('Unhandled Promise Rejection:', e.reason);
+    };
+    window.addEventListener('error', onError);
+    window.addEventListener('unhandledrejection', onRejection);
+    
+    // Everything that reads the page waits for it: <body> data-* config, toggles, the loader
+    const start = () => {
+        console.log('DOM loaded, starting Future AI Tech application...');
+        
+        loadConfig(config);
+        Utils.setSeed(readPageSeed());
+        appState.readEnvironment();
+        performanceMonitor.init();
+        sceneScheduler.setTimeScale(CONFIG.animations.timeScale);
+        
+        // For the loading screen and card reveal transitions in style.css
+        const rootStyle = document.documentElement.style;
+        rootStyle.setProperty('--animation-duration', `${CONFIG.animations.duration}ms`);
+        rootStyle.setProperty('--animation-easing', CONFIG.animations.easing);
+        
+        themeManager = new ThemeManager();
+        // Before LoadingManager, which reads appState.isReducedMotion
+        motionManager = new MotionManager();
+        pointerTracker = new PointerTracker();
+        loadingManager = new LoadingManager({ onComplete: onLoaded });
+        managers.push(loadingManager, pointerTracker, motionManager, themeManager);
         
-        if (progress >= 100) {
-            clearInterval(loadingInterval);
+        appState.setScrollLock('loading', true);
+        
+        const { weights } = CONFIG.loading;
+        // Scenes count as loaded once they've had a frame to draw in
+        initialized = app.initialize()
+            .then(() => new Promise(resolve => requestAnimationFrame(() => resolve())));
+        
+        loadingManager.track('fonts', loadingManager.waitForFonts(), weights.fonts);
+        // The markup's images; the ones the managers render (project screenshots) are lazy
+        loadingManager.track('images', loadingManager.waitForImages(root), weights.images);
+        loadingManager.track('data', loadingManager.loadData(CONFIG.loading.data), weights.data);
+        loadingManager.track('scenes', initialized, weights.scenes);
+        loadingManager.finish();
+    };
+    
+    // Module scripts run after parsing, so the DOM is usually ready already
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', start, { once: true });
+    } else {
+        start();
+    }
+    
+    let destroyed = false;
+    
+    const handle = {
+        app,
+        ready,
+        // Undoes everything above, so bootstrap() can start the site again; later calls do nothing
+        destroy() {
+            if (destroyed) return;
+            destroyed = true;
+            
+            document.removeEventListener('DOMContentLoaded', start);
+            window.removeEventListener('error', onError);
+            window.removeEventListener('unhandledrejection', onRejection);
+            app.destroy();
+            managers.forEach(manager => manager.dispose());
+            appState.setScrollLock('loading', false);
+            
+            if (bootstrapHandle !== handle) return;
+            
+            loadingManager = null;
+            pointerTracker = null;
+            motionManager = null;
+            themeManager = null;
+            delete window.scrollToSection;
+            // So the next bootstrap() layers its config over the defaults, not over this one's
+            resetConfig();
+            document.documentElement.style.removeProperty('--animation-duration');
+            document.documentElement.style.removeProperty('--animation-easing');
+            bootstrapHandle = null;
         }
-    }, 200);
-});
-
-// Error handling
-window.addEventListener('error', (e) => {
-    console.error('Application Error:', e.error);
-});
-
-window.addEventListener('unhandledrejection', (e) => {
-    console.error('Unhandled Promise Rejection:', e.reason);
-});
-
-// Performance monitoring
-if (CONFIG.performance.enableStats && window.location.hostname === 'localhost') {
-    setInterval(() => {
-        console.log(`FPS: ${performanceMonitor.getFPS()}, Quality: ${performanceMonitor.getQualityLevel().toFixed(2)}`);
-    }, 5000);
+    };
+    bootstrapHandle = handle;
+    return handle;
 }
 
-// Export for potential module usage
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { App, Utils, CONFIG };
-}
\ No newline at end of file
+export {
+    CONFIG,
+    loadConfig,
+    resetConfig,
+    validateConfig,
+    Utils,
+    AppState,
+    appState,
+    PerformanceMonitor,
+    performanceMonitor,
+    SceneScheduler,
+    sceneScheduler,
+    ThemeManager,
+    MotionManager,
+    LoadingManager,
+    WebGLRenderer,
+    Scene3D,
+    SceneWorkerHost,
+    SpatialGrid,
+    HeroScene,
+    NeuralNetwork,
+    CanvasScene,
+    OFFSCREEN_SCENE_TYPES,
+    registerSceneType,
+    createScene,
+    PointerTracker,
+    CursorManager,
+    NavigationManager,
+    AnimationManager,
+    SubmissionError,
+    HttpTransport,
+    MailtoTransport,
+    MockTransport,
+    ContactSubmitter,
+    SubmissionQueue,
+    Validators,
+    FormValidator,
+    FormManager,
+    PortfolioManager,
+    PortfolioFilter,
+    ProjectDetailView,
+    PerformanceHUD,
+    SceneExportMenu,
+    App,
+    scrollToSection,
+    bootstrap
+};
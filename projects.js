@@ -0,0 +1,96 @@
+// Future AI Tech - Project catalog
+// Copyright 2025 - Mohammad Gulam Rabbani
+
+// ES module, imported by app.js
+
+// Each record renders one card in the Portfolio section.
+// `scene` is the CanvasScene type drawn behind the card, and `details`
+// feeds the case-study view opened at #portfolio/<id>.
+const PROJECTS = [
+    {
+        id: 'spontaneous-ai',
+        title: 'Spontaneous AI Thought System',
+        description: 'Experimental AI model that captures spontaneous thoughts and builds personal life-history models',
+        tech: ['Python', 'OpenAI API', 'TensorFlow', 'NLP'],
+        status: 'In Development',
+        scene: 'hologram',
+        details: {
+            overview: [
+                'Traditional assistants are reactive: you ask, and they respond. This project explores the opposite direction, an assistant that captures thoughts as they happen and turns them into a personal life-history model.',
+                'Short notes, voice transcripts and journal entries are embedded with NLP models, clustered over time and linked back to earlier ideas, so the system can surface connections its user might otherwise forget.'
+            ],
+            highlights: [
+                'Streaming capture pipeline for short, unstructured notes',
+                'Semantic clustering of thoughts into evolving themes',
+                'Timeline model that links new ideas to related past entries'
+            ],
+            screenshots: []
+        },
+        links: []
+    },
+    {
+        id: '3d-portfolio',
+        title: '3D Interactive Portfolio',
+        description: 'Futuristic 3D web portfolio showcasing advanced WebGL and Three.js implementations',
+        tech: ['Three.js', 'WebGL', 'JavaScript', 'CSS3'],
+        status: 'Completed',
+        scene: 'hologram',
+        details: {
+            overview: [
+                'This site itself: a futuristic portfolio built around real-time canvas and WebGL scenes instead of static imagery.',
+                'Every section hosts its own animated scene, from the particle field in the hero to the neural network behind the footer, while keeping navigation, forms and content fully usable.'
+            ],
+            highlights: [
+                'Interactive particle system that reacts to the cursor',
+                'Reusable scene classes shared across every section',
+                'Responsive layout with reduced-motion support'
+            ],
+            screenshots: []
+        },
+        links: []
+    },
+    {
+        id: 'human-ai',
+        title: 'Human-Centric AI Interface',
+        description: 'AI system designed to understand and respond to human emotions and context',
+        tech: ['Python', 'Machine Learning', 'NLP', 'Neural Networks'],
+        status: 'Research Phase',
+        scene: 'hologram',
+        details: {
+            overview: [
+                'An interface layer that lets AI systems respond to emotion and context, not just to the literal text of a request.',
+                'The research focuses on combining sentiment and intent models with conversation history so responses adapt to how the user is feeling as well as what they asked.'
+            ],
+            highlights: [
+                'Emotion and intent classification on conversational input',
+                'Context tracking across multi-turn interactions',
+                'Evaluation of response quality against human ratings'
+            ],
+            screenshots: []
+        },
+        links: []
+    },
+    {
+        id: 'memory-assistant',
+        title: 'Intelligent Memory Assistant',
+        description: 'AI tool that helps connect ideas and reflects on personal thought patterns',
+        tech: ['AI', 'Memory Models', 'Pattern Recognition', 'Deep Learning'],
+        status: 'Conceptual',
+        scene: 'hologram',
+        details: {
+            overview: [
+                'A concept for a second brain: a tool that remembers, reflects and helps connect ideas across weeks and months.',
+                'Memory models and pattern recognition would highlight recurring themes in personal notes and suggest links between ideas captured at different times.'
+            ],
+            highlights: [
+                'Long-term memory store for personal notes and ideas',
+                'Pattern detection across recurring thoughts',
+                'Reflective prompts that connect past and present ideas'
+            ],
+            screenshots: []
+        },
+        links: []
+    }
+];
+
+export { PROJECTS };
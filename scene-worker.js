@@ -0,0 +1,97 @@
+// Future AI Tech - Offscreen scene renderer
+// Copyright 2025 - Mohammad Gulam Rabbani
+
+// Loaded when CONFIG.performance.offscreenRendering is on. Each scene's canvas is
+// transferred here and the factory registered for its scene type in app.js builds the scene, while
+// the main-thread Scene3D forwards start/stop, resize, pointer, press, style and quality
+// and asks for exports, which are answered with a 'reply' message.
+
+// Module worker (see SceneWorkerHost); app.js does nothing on import
+import { CONFIG, OFFSCREEN_SCENE_TYPES, Utils, appState, sceneScheduler } from './app.js';
+
+// Some browsers ship OffscreenCanvas before requestAnimationFrame in workers
+if (typeof self.requestAnimationFrame !== 'function') {
+    self.requestAnimationFrame = (callback) => setTimeout(() => callback(performance.now()), 1000 / 60);
+    self.cancelAnimationFrame = (id) => clearTimeout(id);
+}
+
+const scenes = new Map();
+
+function initScene({ id, sceneType, canvas, options, style, breakpoint, config, isStill, timeScale }) {
+    const factory = OFFSCREEN_SCENE_TYPES.get(sceneType);
+    if (!factory) {
+        console.error(`Unknown offscreen scene type: ${sceneType}`);
+        return;
+    }
+
+    // Scene sizes depend on the main thread's config and breakpoint
+    Utils.mergeDeep(CONFIG, config);
+    appState.breakpoint = breakpoint;
+    appState.isMobile = breakpoint === 'mobile';
+    sceneScheduler.setTimeScale(timeScale);
+
+    const scene = factory(canvas, options);
+    scene.isStill = isStill;
+    scene.setStyle(style);
+    scenes.set(id, scene);
+}
+
+self.addEventListener('message', ({ data }) => {
+    if (data.type === 'init') {
+        initScene(data);
+        return;
+    }
+
+    if (data.type === 'timeScale') {
+        sceneScheduler.setTimeScale(data.timeScale);
+        return;
+    }
+
+    const scene = scenes.get(data.id);
+    if (!scene) return;
+
+    switch (data.type) {
+        case 'start':
+            scene.start();
+            break;
+        case 'stop':
+            scene.stop();
+            break;
+        case 'resize':
+            scene.options.viewport = data.viewport;
+            scene.setupCanvas();
+            if (!scene.isRunning) {
+                scene.draw();
+            }
+            break;
+        case 'pointer':
+            scene.pointers = data.pointers;
+            scene.tilt = data.tilt;
+            break;
+        case 'still':
+            // A still scene stops itself after its next frame
+            scene.isStill = data.isStill;
+            if (data.isRunning) {
+                scene.start();
+            }
+            break;
+        case 'export':
+            scene.exportImage({ scale: data.scale })
+                .then(result => self.postMessage({ type: 'reply', requestId: data.requestId, result }))
+                .catch(error => self.postMessage({ type: 'reply', requestId: data.requestId, error: error.message }));
+            break;
+        case 'press':
+            scene.press(data.point);
+            break;
+        case 'style':
+            scene.setStyle(data.style);
+            break;
+        case 'quality':
+            scene.setQuality(data.quality);
+            break;
+        case 'dispose':
+            scene.dispose();
+            scenes.delete(data.id);
+            break;
+    }
+});